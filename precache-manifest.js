@@ -0,0 +1,46 @@
+// Generated by tools/precache-manifest.js; don't edit by hand.
+self.PRECACHE_MANIFEST = {
+  "version": "4abc7c8526b8",
+  "assets": [
+    {
+      "url": "./",
+      "hash": "95d98b985af3"
+    },
+    {
+      "url": "./apple-touch-icon.png",
+      "hash": "78fc75ea12ae"
+    },
+    {
+      "url": "./audio/packs.json",
+      "hash": "79231ac0e77b"
+    },
+    {
+      "url": "./favicon.ico",
+      "hash": "61a13fe6734a"
+    },
+    {
+      "url": "./icons/icon192.png",
+      "hash": "16d97ffed9b0"
+    },
+    {
+      "url": "./icons/icon512.png",
+      "hash": "7c1a56509815"
+    },
+    {
+      "url": "./index.html",
+      "hash": "95d98b985af3"
+    },
+    {
+      "url": "./manifest.json",
+      "hash": "dcc1ffd0c8a2"
+    },
+    {
+      "url": "./script.js",
+      "hash": "d3af5a8e7337"
+    },
+    {
+      "url": "./style.css",
+      "hash": "80ecb28b0447"
+    }
+  ]
+};
@@ -1,18 +1,18 @@
 // ===========================================
 // LETTER DISTRIBUTION CONFIGURATION
 // ===========================================
-// Change this array to use different letter sets.
+// Letter sets selectable from the start screen.
 // Options based on research:
 //   - Brainworkshop: ['C', 'H', 'J', 'K', 'L', 'Q', 'R', 'S', 'T'] (phonetically distinct)
 //   - Jaeggi 2003:   ['B', 'C', 'D', 'G', 'H', 'K', 'P', 'Q', 'T', 'W'] (more rhyming = harder)
 //   - Full alphabet: All 26 letters available in /audio/corsica/
 //
-// For phonetically similar challenge sets, consider rotating groups:
-//   - Group 1: B, C, D, P, T, V, Z (maybe E)
-//   - Group 2: F, S, X
-//   - Group 3: N, M (maybe L)
-//   - Group 4: J, A, K
-//   - Group 5: I, Y
+// Sets are offered when the active voice pack has all their letters.
+// Custom sets can be built from the pack's letters in the Letter Sets modal.
+//
+// "Confusion lures" mode draws some non-match letters from the same
+// phonetic group as the n-back letter (see PHONETIC_GROUPS), which makes
+// the audio channel harder without raising N.
 
 const LETTER_DISTRIBUTIONS = {
   brainworkshop: ['C', 'H', 'J', 'K', 'L', 'Q', 'R', 'S', 'T'],
@@ -22,21 +22,464 @@ const LETTER_DISTRIBUTIONS = {
   fullAlphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('')
 };
 
-// Current active letter set - change this to switch distributions
-const ACTIVE_DISTRIBUTION = 'brainworkshop';
-const letters = LETTER_DISTRIBUTIONS[ACTIVE_DISTRIBUTION];
+// Short names for the start screen picker and stats
+const LETTER_SET_LABELS = {
+  brainworkshop: 'Brainworkshop',
+  jaeggi2003: 'Jaeggi 2003',
+  phoneticallyDistinct: 'Distinct',
+  rhymingChallenge: 'Rhyming',
+  fullAlphabet: 'A–Z'
+};
+
+// Used when nothing (or an unknown set) is saved
+const DEFAULT_DISTRIBUTION = 'brainworkshop';
+
+const MIN_CUSTOM_SET_SIZE = 3;
+
+// Custom sets are stored under this prefix so names can't shadow built-ins
+const CUSTOM_SET_PREFIX = 'custom:';
+
+// Phonetically similar letters, easily confused when heard:
+//   - Group 1: B, C, D, P, T, V, Z (maybe E)
+//   - Group 2: F, S, X
+//   - Group 3: N, M (maybe L)
+//   - Group 4: J, A, K
+//   - Group 5: I, Y
+const PHONETIC_GROUPS = [
+  ['B', 'C', 'D', 'P', 'T', 'V', 'Z'],
+  ['F', 'S', 'X'],
+  ['M', 'N'],
+  ['A', 'J', 'K'],
+  ['I', 'Y']
+];
+
+// Share of non-match audio trials that use a same-group lure when
+// confusion mode is on. The rest are drawn from the whole set, otherwise
+// each n-back chain would stay stuck inside a single group.
+const CONFUSION_LURE_RATE = 0.5;
+
+// Voice packs. AUDIO_PACKS_INDEX maps pack ids to manifest paths; a manifest
+// looks like
+//   { "label": "Corsica", "format": "webm", "basePath": "audio/corsica",
+//     "letters": ["A", "B", ...],
+//     "sets": { "digits": { "label": "Digits", "letters": ["1", "2", ...] } } }
+// and each letter's clip is <basePath>/<letter in lowercase>.<format>. If a
+// clip won't decode (older iOS Safari can't play webm) the same path is tried
+// with AUDIO_FALLBACK_FORMATS; an optional "formats" list replaces
+// [format, ...AUDIO_FALLBACK_FORMATS] for packs that ship fewer encodings.
+// "sets" is optional; packs whose letters don't fit the built-in sets
+// (digits, syllables) need it. Adding a pack needs no code changes.
+const AUDIO_PACKS_INDEX = 'audio/packs.json';
+const DEFAULT_AUDIO_PACK = 'corsica';
+const AUDIO_FALLBACK_FORMATS = ['mp3', 'ogg', 'm4a'];
+
+let audioPacks = {};   // id -> manifest (plus id), once loadAudioPacks() is done
+let audioPack = null;  // The active pack's manifest
+
+// Letters with a clip in the active pack, for building custom sets
+function availableLetters() {
+  return audioPack ? audioPack.letters : LETTER_DISTRIBUTIONS.fullAlphabet;
+}
+
+// ===========================================
+// RANDOM NUMBERS
+// ===========================================
+// Sequences come from a seeded generator (mulberry32) so any session can
+// be rebuilt from its seed, e.g. for challenge codes.
+function newSeed() {
+  return Math.floor(Math.random() * 2 ** 32);
+}
+
+// Returns a Math.random() stand-in: floats in [0, 1)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+  };
+}
+
+// ===========================================
+// MODALITIES AND GAME MODES
+// ===========================================
+// A modality is one stimulus channel tracked n back. Each supplies the
+// values it draws from, how a value is drawn on the active cell (show)
+// and how it reads in the replay (text). Arithmetic draws a result 1-9
+// and shows a random sum/difference for it; results are what match.
+
+const STIMULUS_COLORS = ['#c0392b', '#e67e22', '#f1c40f', '#27ae60', '#16a085', '#2980b9', '#8e44ad', '#d35493'];
+const STIMULUS_SHAPES = ['●', '■', '▲', '◆', '★', '✚', '⬟', '♥'];
+
+const MODALITIES = {
+  position: {
+    label: 'Position',
+    pool: () => [0, 1, 2, 3, 4, 5, 6, 7, 8],
+    text: value => `cell ${value + 1}`
+  },
+  audio: {
+    label: 'Audio',
+    pool: playableLetters,
+    text: value => value
+  },
+  color: {
+    label: 'Color',
+    pool: () => STIMULUS_COLORS.map((_, i) => i),
+    show: (cell, value) => { cell.style.background = STIMULUS_COLORS[value]; },
+    text: value => `<span class="color-swatch" style="background: ${STIMULUS_COLORS[value]}"></span>`
+  },
+  shape: {
+    label: 'Shape',
+    pool: () => STIMULUS_SHAPES.map((_, i) => i),
+    show: (cell, value) => cell.insertAdjacentHTML('beforeend', `<span class="cell-mark">${STIMULUS_SHAPES[value]}</span>`),
+    text: value => STIMULUS_SHAPES[value]
+  },
+  arithmetic: {
+    label: 'Arithmetic',
+    pool: () => [1, 2, 3, 4, 5, 6, 7, 8, 9],
+    describe: (value, random) => {
+      if (random() < 0.5) {
+        const a = Math.floor(random() * (value + 1));
+        return `${a} + ${value - a}`;
+      }
+      const b = 1 + Math.floor(random() * 9);
+      return `${value + b} − ${b}`;
+    },
+    show: (cell, value, display) => cell.insertAdjacentHTML('beforeend', `<span class="cell-mark cell-sum">${display}</span>`),
+    text: (value, display) => `${display} = ${value}`
+  }
+};
+
+// Swipe directions (and 'tap': a short touch or Backspace) map to the
+// modalities they mark as matching, or to 'clear'. Match gestures are
+// additive; 'clear' cancels everything marked so far this trial.
+// Single-modality modes collapse to one match gesture.
+const GAME_MODES = {
+  dual: {
+    label: 'Dual',
+    modalities: ['position', 'audio'],
+    gestures: { left: ['position'], right: ['audio'], up: ['position', 'audio'], down: 'clear' }
+  },
+  triple: {
+    label: 'Triple',
+    modalities: ['position', 'audio', 'color'],
+    gestures: { left: ['position'], right: ['audio'], up: ['color'], down: 'clear' }
+  },
+  shapes: {
+    label: 'Shapes',
+    modalities: ['position', 'audio', 'shape'],
+    gestures: { left: ['position'], right: ['audio'], up: ['shape'], down: 'clear' }
+  },
+  arithmetic: {
+    label: 'Arithmetic',
+    modalities: ['position', 'audio', 'arithmetic'],
+    gestures: { left: ['position'], right: ['audio'], up: ['arithmetic'], down: 'clear' }
+  },
+  quad: {
+    label: 'Quad',
+    modalities: ['position', 'audio', 'color', 'shape'],
+    gestures: { left: ['position'], right: ['audio'], up: ['color'], down: ['shape'], tap: 'clear' }
+  },
+  positionOnly: {
+    label: 'Position only',
+    modalities: ['position'],
+    gestures: { up: ['position'], down: 'clear' }
+  },
+  audioOnly: {
+    label: 'Audio only',
+    modalities: ['audio'],
+    gestures: { up: ['audio'], down: 'clear' }
+  }
+};
+
+const DEFAULT_MODE = 'dual';
+
+const DIRECTION_ARROWS = { left: '&larr;', right: '&rarr;', up: '&uarr;', down: '&darr;', tap: 'tap' };
+
+function gestureActionLabel(action, mode) {
+  if (action === 'clear') return 'neither';
+  if (action.length === 2) return 'both';
+  if (mode.modalities.length === 1) return 'match';
+  return action.map(modality => MODALITIES[modality].label.toLowerCase()).join(' + ');
+}
+
+// ===========================================
+// TIMING
+// ===========================================
+// A trial is stimulusMs of stimulus followed by a response gap, trialMs
+// from one onset to the next. Both are settings; these are the defaults.
+const DEFAULT_STIMULUS_MS = 500;
+const DEFAULT_TRIAL_MS = 2500;
+const LEAD_IN_MS = 1000;          // Blank grid before the first trial (and after a pause)
+const LATE_TOLERANCE_MS = 50;     // A trial starting later than this is re-timed from now
+
+const MIN_STIMULUS_MS = 100;
+const MAX_STIMULUS_MS = 1500;
+const MIN_RESPONSE_GAP_MS = 500;  // trialMs never gets closer than this to stimulusMs
+const MAX_TRIAL_MS = 5000;
+const TRIAL_MS_STEP = 100;        // Settings stepper and "speed" policy increments
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)} s`;
+}
+
+// ===========================================
+// SEQUENCE OPTIONS
+// ===========================================
+// Shares of matchable trials (see buildGameSequence). Single matches are
+// per modality; "all" matches are trials where every modality matches.
+// Lures are non-match trials that repeat the value from n-1 or n+1 back.
+const DEFAULT_SINGLE_MATCH_RATE = 0.20;
+const DEFAULT_ALL_MATCH_RATE = 0.10;
+const DEFAULT_LURE_RATE = 0;
+
+const RATE_STEP = 0.05;
+const RATE_LIMITS = {
+  singleMatchRate: [0.05, 0.40],
+  allMatchRate: [0, 0.30],
+  lureRate: [0, 0.50]
+};
+
+function formatPct(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+// ===========================================
+// CONTROLS
+// ===========================================
+// Every input (keys, swipes, on-screen buttons, gamepad) resolves to one
+// of these slots, named after the swipe that triggers it by default. The
+// mode's gestures (GAME_MODES) decide what each slot does; see triggerControl().
+const CONTROL_SLOTS = ['left', 'right', 'up', 'down', 'tap'];
+
+const KEY_PRESETS = {
+  arrows: {
+    label: 'Arrows',
+    keys: { left: ['ArrowLeft'], right: ['ArrowRight'], up: ['ArrowUp'], down: ['ArrowDown'], tap: ['Backspace'] }
+  },
+  brainworkshop: {
+    label: 'A / L',
+    keys: { left: ['a'], right: ['l'], up: ['f'], down: ['j'], tap: ['Backspace'] }
+  }
+};
+
+// Standard gamepad layout: d-pad, face buttons X / B / Y / A, shoulders
+const DEFAULT_GAMEPAD_BUTTONS = { left: [14, 2], right: [15, 1], up: [12, 3], down: [13, 0], tap: [4, 5] };
+
+const GAMEPAD_BUTTON_LABELS = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →'
+];
+
+const KEY_LABELS = { ' ': 'Space', ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+
+// Letters are matched case-insensitively
+function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+function keyLabel(key) {
+  return KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+function gamepadButtonLabel(index) {
+  return GAMEPAD_BUTTON_LABELS[index] || `Button ${index}`;
+}
+
+// ===========================================
+// SETTINGS
+// ===========================================
+// User choices that survive reloads, kept in their own localStorage key
+// so clearing stats doesn't reset them.
+const SETTINGS_KEY = 'swipeback_settings';
+
+const DEFAULT_SETTINGS = {
+  letterSet: DEFAULT_DISTRIBUTION,
+  customSets: {},        // { "My set": ['B', 'D', 'P', ...] }
+  confusionLures: false,
+  gameMode: DEFAULT_MODE,         // key of GAME_MODES
+  scoringModel: 'brainworkshop',  // key of SCORING_MODELS, drives level changes
+  progressionPolicy: 'fixed',     // key of PROGRESSION_POLICIES
+  thresholds: {},                 // per scoring model overrides: { brainworkshop: { up: 90 } }
+  demotionStrikes: 3,             // sessions below threshold before the "strikes" policy demotes
+  stimulusMs: DEFAULT_STIMULUS_MS,  // how long the cell stays lit
+  trialMs: DEFAULT_TRIAL_MS,        // onset to onset; the "speed" policy changes this
+  singleMatchRate: DEFAULT_SINGLE_MATCH_RATE,
+  allMatchRate: DEFAULT_ALL_MATCH_RATE,
+  lureRate: DEFAULT_LURE_RATE,
+  sessionRounds: 1,                 // Rounds per training session; 1 plays single rounds
+  dailyGoal: 0,                     // Rounds per day that count towards the streak; 0 = any
+  keyBindings: KEY_PRESETS.arrows.keys,     // slot -> keys (normalizeKey)
+  gamepadBindings: DEFAULT_GAMEPAD_BUTTONS, // slot -> button indices
+  swipeSwap: 'none',                // 'none', 'horizontal', 'vertical' or 'both'
+  inputMode: 'additive',            // 'additive': gestures only mark; 'toggle': repeating one unmarks
+  touchButtons: false,              // On-screen buttons in the game screen
+  feedback: true,                   // Per-modality feedback after each trial; off for "pure" training
+  audioPack: DEFAULT_AUDIO_PACK,
+  letterVolume: 1,                  // 0.1-1
+  normalizeLetters: true,           // Even out loudness across a pack's clips
+  inputFeedback: 'click',           // On each input: 'click', 'vibrate' or 'off'
+  clickVolume: 1                    // 0.1-1; 1 is the original click level
+};
+
+function loadSettings() {
+  try {
+    const stored = localStorage.getItem(SETTINGS_KEY);
+    if (stored) {
+      return { ...DEFAULT_SETTINGS, ...JSON.parse(stored) };
+    }
+  } catch (e) {
+    console.warn('Failed to load settings:', e);
+  }
+
+  return { ...DEFAULT_SETTINGS };
+}
+
+function saveSettings() {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...settings, ...pickedVoice }));
+  } catch (e) {
+    console.warn('Failed to save settings:', e);
+  }
+}
+
+const settings = loadSettings();
+
+// The voice pack and letter set the user picked. applyAudioPack may fall
+// back to others for this page load; saveSettings keeps these instead.
+const pickedVoice = { audioPack: settings.audioPack, letterSet: settings.letterSet };
+
+// Built-in, voice pack or custom (CUSTOM_SET_PREFIX + name) letters, or
+// undefined if the set is unknown or the active pack lacks some of them
+function letterSetLetters(name) {
+  const set = name.startsWith(CUSTOM_SET_PREFIX)
+    ? settings.customSets[name.slice(CUSTOM_SET_PREFIX.length)]
+    : LETTER_DISTRIBUTIONS[name] || audioPack?.sets?.[name]?.letters;
+  if (set && audioPack && !set.every(letter => audioPack.letters.includes(letter))) {
+    return undefined;
+  }
+  return set;
+}
+
+// Sets playable with the active pack
+function letterSetNames() {
+  return [
+    ...Object.keys(LETTER_DISTRIBUTIONS),
+    ...Object.keys(audioPack?.sets || {}),
+    ...Object.keys(settings.customSets).map(name => CUSTOM_SET_PREFIX + name)
+  ].filter(name => letterSetLetters(name));
+}
+
+function letterSetLabel(name) {
+  if (name.startsWith(CUSTOM_SET_PREFIX)) {
+    return name.slice(CUSTOM_SET_PREFIX.length);
+  }
+  return LETTER_SET_LABELS[name] || audioPack?.sets?.[name]?.label || name;
+}
+
+// The saved letter set is checked against the voice pack once it's loaded
+// (see applyAudioPack), since it may be one of the pack's own sets
+if (!GAME_MODES[settings.gameMode]) {
+  settings.gameMode = DEFAULT_MODE;
+}
+
+// Letters for the active set
+let letters = letterSetLetters(settings.letterSet) || LETTER_DISTRIBUTIONS[DEFAULT_DISTRIBUTION];
+
+// Game options that change difficulty. Stored with each session and used
+// to keep per-level stats for different setups apart. missingLetters lists
+// the set's letters whose clips didn't load, when there are any.
+function currentSetup() {
+  const missing = missingLetters();
+  return {
+    mode: settings.gameMode,
+    letterSet: settings.letterSet,
+    confusionLures: settings.confusionLures,
+    stimulusMs: settings.stimulusMs,
+    trialMs: settings.trialMs,
+    singleMatchRate: settings.singleMatchRate,
+    allMatchRate: settings.allMatchRate,
+    lureRate: settings.lureRate,
+    feedback: settings.feedback,
+    audioPack: settings.audioPack,
+    ...(missing.length > 0 && { missingLetters: missing })
+  };
+}
+
+// Stats bucket for a setup, e.g. "rhymingChallenge" or "brainworkshop|lures|triple".
+// Defaults (dual mode, 0.5 s / 2.5 s timing, 20%/10% matches, no lures,
+// feedback on, default voice, every letter loaded) add nothing, so buckets from
+// before those options existed still match.
+function setupKey(setup) {
+  const parts = [setup.letterSet || DEFAULT_DISTRIBUTION];
+  if (setup.confusionLures) parts.push('lures');
+  if (setup.mode && setup.mode !== DEFAULT_MODE) parts.push(setup.mode);
+
+  const stimulusMs = setup.stimulusMs || DEFAULT_STIMULUS_MS;
+  const trialMs = setup.trialMs || DEFAULT_TRIAL_MS;
+  if (stimulusMs !== DEFAULT_STIMULUS_MS || trialMs !== DEFAULT_TRIAL_MS) {
+    parts.push(`${formatSeconds(stimulusMs)} / ${formatSeconds(trialMs)}`);
+  }
+
+  const singleMatchRate = setup.singleMatchRate ?? DEFAULT_SINGLE_MATCH_RATE;
+  const allMatchRate = setup.allMatchRate ?? DEFAULT_ALL_MATCH_RATE;
+  if (singleMatchRate !== DEFAULT_SINGLE_MATCH_RATE || allMatchRate !== DEFAULT_ALL_MATCH_RATE) {
+    parts.push(`matches ${formatPct(singleMatchRate)}/${formatPct(allMatchRate)}`);
+  }
+  if (setup.lureRate) parts.push(`n±1 lures ${formatPct(setup.lureRate)}`);
+  if (setup.feedback === false) parts.push('no feedback');
+  if (setup.audioPack && setup.audioPack !== DEFAULT_AUDIO_PACK) parts.push(`voice ${setup.audioPack}`);
+  if (setup.missingLetters) parts.push(`without ${setup.missingLetters.join(' ')}`);
+  return parts.join('|');
+}
 
-// Audio configuration
-const AUDIO_BASE_PATH = 'audio/corsica';
-const AUDIO_FORMAT = 'webm';
+function setupLabel(key) {
+  const [letterSet, ...flags] = key.split('|');
+  return [letterSetLabel(letterSet), ...flags.map(flag => GAME_MODES[flag]?.label || flag)].join(' · ');
+}
 
 // ===========================================
 // AUDIO SYSTEM
 // ===========================================
 let audioCtx = null;
-const audioBuffers = new Map(); // letter -> AudioBuffer
+const audioBuffers = new Map(); // "pack:letter" -> AudioBuffer
+const audioGains = new Map();   // "pack:letter" -> loudness normalization gain
 let audioLoaded = false;
 
+// Volume settings step by VOLUME_STEP within VOLUME_LIMITS
+const VOLUME_STEP = 0.1;
+const VOLUME_LIMITS = [0.1, 1];
+
+// Click and haptic feedback for inputs (settings.inputFeedback)
+const CLICK_GAIN = 0.03;    // At clickVolume 1
+const VIBRATE_MS = 15;
+
+// Normalization brings each clip's RMS over its non-silent samples (above
+// SILENCE_GATE, so leading and trailing silence don't count) to
+// LETTER_TARGET_RMS. The gain is capped so the clip's peak stays below 1.
+const LETTER_TARGET_RMS = 0.1;
+const SILENCE_GATE = 0.01;
+
+function normalizingGain(buffer) {
+  let sumSquares = 0;
+  let count = 0;
+  let peak = 0;
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    for (const sample of buffer.getChannelData(channel)) {
+      const level = Math.abs(sample);
+      peak = Math.max(peak, level);
+      if (level > SILENCE_GATE) {
+        sumSquares += sample * sample;
+        count++;
+      }
+    }
+  }
+  if (count === 0) return 1;
+  const rms = Math.sqrt(sumSquares / count);
+  return Math.min(LETTER_TARGET_RMS / rms, 1 / peak);
+}
+
 async function initAudio() {
   if (!audioCtx) {
     audioCtx = new (window.AudioContext || window.webkitAudioContext)();
@@ -48,19 +491,86 @@ async function initAudio() {
   }
 }
 
-async function loadAudioFiles() {
-  const startBtn = document.getElementById('start-btn');
-  const statusEl = document.getElementById('loading-status');
+// Fetches the pack index and every pack's manifest, then activates the
+// saved pack (or the default one if it's gone)
+async function loadAudioPacks() {
+  try {
+    const response = await fetch(AUDIO_PACKS_INDEX);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const index = await response.json();
+
+    for (const [id, path] of Object.entries(index)) {
+      try {
+        const manifest = await (await fetch(path)).json();
+        if (!Array.isArray(manifest.letters) || !manifest.format || !manifest.basePath) {
+          throw new Error('manifest needs letters, format and basePath');
+        }
+        const fitsBuiltIn = Object.values(LETTER_DISTRIBUTIONS)
+          .some(set => set.every(letter => manifest.letters.includes(letter)));
+        if (!fitsBuiltIn && !Object.keys(manifest.sets || {}).length) {
+          throw new Error('no built-in letter set fits, so the manifest needs "sets"');
+        }
+        audioPacks[id] = { id, label: id, ...manifest };
+      } catch (err) {
+        console.warn(`Skipping voice pack ${id}:`, err);
+      }
+    }
+  } catch (err) {
+    console.error('Failed to load voice packs:', err);
+  }
 
-  statusEl.textContent = `Loading audio (0/${letters.length})...`;
-  statusEl.classList.remove('error');
+  applyAudioPack(pickedVoice.audioPack);
+}
+
+// Makes a pack active (another one if it's gone) with the picked letter
+// set, falling back to another set if the picked one needs letters the pack
+// doesn't have. Fallbacks aren't saved, so the picks apply again once they
+// can.
+function applyAudioPack(id) {
+  audioPack = audioPacks[id] || audioPacks[DEFAULT_AUDIO_PACK] || Object.values(audioPacks)[0] || null;
+  if (audioPack) {
+    settings.audioPack = audioPack.id;
+  }
+  settings.letterSet = letterSetLetters(pickedVoice.letterSet) ? pickedVoice.letterSet
+    : letterSetLetters(DEFAULT_DISTRIBUTION) ? DEFAULT_DISTRIBUTION : letterSetNames()[0];
+  letters = letterSetLetters(settings.letterSet) || audioPack.letters;
+  renderLetterSetSetting();
+}
+
+function selectAudioPack(id) {
+  pickedVoice.audioPack = id;
+  saveSettings();
+  applyAudioPack(id);
+  renderSettings();
+  loadAudioFiles();
+}
+
+function audioBufferKey(letter) {
+  return `${audioPack.id}:${letter}`;
+}
+
+// Letters of the active set with a decoded clip. Sequences only draw from
+// these, so a clip that failed to load is never asked for mid-game.
+function playableLetters() {
+  return audioPack ? letters.filter(letter => audioBuffers.has(audioBufferKey(letter))) : [];
+}
+
+// Letters of the active set without a decoded clip
+function missingLetters() {
+  return audioPack ? letters.filter(letter => !audioBuffers.has(audioBufferKey(letter))) : [];
+}
 
-  let loaded = 0;
-  let failed = [];
+// Fetches and decodes one clip, trying the pack's formats in order. Returns
+// the AudioBuffer, or throws the last format's error.
+async function loadClip(pack, letter) {
+  const formats = pack.formats || [pack.format, ...AUDIO_FALLBACK_FORMATS.filter(f => f !== pack.format)];
+  let lastError;
 
-  for (const letter of letters) {
+  for (const format of formats) {
     try {
-      const url = `${AUDIO_BASE_PATH}/${letter.toLowerCase()}.${AUDIO_FORMAT}`;
+      const url = `${pack.basePath}/${letter.toLowerCase()}.${format}`;
       const response = await fetch(url);
 
       if (!response.ok) {
@@ -68,32 +578,81 @@ async function loadAudioFiles() {
       }
 
       const arrayBuffer = await response.arrayBuffer();
+      return await audioCtx.decodeAudioData(arrayBuffer);
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
 
-      // Create audio context if not exists (needed for decoding)
-      if (!audioCtx) {
-        audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-      }
+// Loads buffers for the active letter set, all letters at once. Letters
+// already decoded by an earlier set are reused, so switching sets only
+// fetches what's missing.
+let audioLoadId = 0;
+
+async function loadAudioFiles() {
+  const startBtn = document.getElementById('start-btn');
+  const statusEl = document.getElementById('loading-status');
+  const loadId = ++audioLoadId;
+  const wanted = letters;
+
+  audioLoaded = false;
+  startBtn.disabled = true;
+  startBtn.textContent = 'Loading...';
+
+  if (!audioPack) {
+    statusEl.textContent = 'No voice pack could be loaded';
+    statusEl.classList.add('error');
+    startBtn.textContent = 'Audio Error';
+    return;
+  }
+  const pack = audioPack;
+
+  // Create audio context if not exists (needed for decoding)
+  if (!audioCtx) {
+    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+  }
+
+  let loaded = wanted.filter(letter => audioBuffers.has(`${pack.id}:${letter}`)).length;
+  const failed = [];
+
+  statusEl.textContent = `Loading audio (${loaded}/${wanted.length})...`;
+  statusEl.classList.remove('error');
 
-      const audioBuffer = await audioCtx.decodeAudioData(arrayBuffer);
-      audioBuffers.set(letter, audioBuffer);
+  await Promise.all(wanted.map(async letter => {
+    if (audioBuffers.has(`${pack.id}:${letter}`)) return;
 
+    try {
+      const buffer = await loadClip(pack, letter);
+      audioBuffers.set(`${pack.id}:${letter}`, buffer);
+      audioGains.set(`${pack.id}:${letter}`, normalizingGain(buffer));
       loaded++;
-      statusEl.textContent = `Loading audio (${loaded}/${letters.length})...`;
     } catch (err) {
       console.error(`Failed to load audio for letter ${letter}:`, err);
       failed.push(letter);
     }
-  }
+
+    // A newer load (set switched mid-way) owns the UI now
+    if (loadId === audioLoadId) {
+      statusEl.textContent = `Loading audio (${loaded}/${wanted.length})...`;
+    }
+  }));
+
+  if (loadId !== audioLoadId) return;
 
   if (failed.length > 0) {
-    statusEl.textContent = `Warning: Failed to load: ${failed.join(', ')}`;
+    const missing = wanted.filter(letter => failed.includes(letter)).join(', ');
+    // Still allow playing with the letters that loaded, if there are enough
+    const playable = loaded >= MIN_CUSTOM_SET_SIZE;
+    statusEl.innerHTML = `${playable ? 'Playing without' : 'Failed to load'}: ${escapeHtml(missing)}
+      · <a href="#" onclick="loadAudioFiles(); return false;">Retry</a>`;
     statusEl.classList.add('error');
 
-    // Still allow playing if at least some letters loaded
-    if (loaded >= letters.length / 2) {
+    if (playable) {
       audioLoaded = true;
       startBtn.disabled = false;
-      startBtn.textContent = 'Start';
+      startBtn.textContent = startButtonLabel();
     } else {
       startBtn.textContent = 'Audio Error';
     }
@@ -101,23 +660,27 @@ async function loadAudioFiles() {
     statusEl.textContent = '';
     audioLoaded = true;
     startBtn.disabled = false;
-    startBtn.textContent = 'Start';
+    startBtn.textContent = startButtonLabel();
   }
 }
 
-function playLetter(letter) {
-  if (!audioCtx || !audioBuffers.has(letter)) {
+// Schedules a letter on the AudioContext clock to be heard at `at`, a
+// performance.now() time: the start is converted to context time and pulled
+// earlier by the output latency. Returns { source, startsAt, heardAt }
+// (context times), or null if the letter can't play.
+function scheduleLetter(letter, at) {
+  if (!audioCtx || !audioBuffers.has(audioBufferKey(letter))) {
     console.warn(`Cannot play letter ${letter}: audio not loaded`);
-    return;
+    return null;
   }
 
   // Don't even try if suspended - prevents queue buildup
-  if (audioCtx.state === 'suspended') {
+  if (audioCtx.state !== 'running') {
     audioCtx.resume();
-    return; // Skip this sound rather than queue it
+    return null; // Skip this sound rather than queue it
   }
 
-  const buffer = audioBuffers.get(letter);
+  const buffer = audioBuffers.get(audioBufferKey(letter));
   const source = audioCtx.createBufferSource();
   const gainNode = audioCtx.createGain();
 
@@ -125,12 +688,22 @@ function playLetter(letter) {
   source.connect(gainNode);
   gainNode.connect(audioCtx.destination);
 
-  gainNode.gain.value = 1.0;
-  source.start(0);
+  const normalization = settings.normalizeLetters ? audioGains.get(audioBufferKey(letter)) : 1;
+  gainNode.gain.value = settings.letterVolume * normalization;
+  const latency = audioCtx.outputLatency || audioCtx.baseLatency || 0;
+  const startsAt = Math.max(audioCtx.currentTime,
+    audioCtx.currentTime + (at - performance.now()) / 1000 - latency);
+  source.start(startsAt);
+  return { source, startsAt, heardAt: startsAt + latency };
 }
 
+// Acknowledges an input with a click, a short vibration or nothing
 function playClick() {
-  if (!audioCtx) return;
+  if (settings.inputFeedback === 'vibrate') {
+    navigator.vibrate?.(VIBRATE_MS);
+    return;
+  }
+  if (settings.inputFeedback !== 'click' || !audioCtx) return;
 
   // Resume context if suspended
   if (audioCtx.state === 'suspended') {
@@ -146,8 +719,9 @@ function playClick() {
   osc.frequency.value = 800;
   osc.type = 'square';
 
-  gain.gain.setValueAtTime(0.03, audioCtx.currentTime);
-  gain.gain.exponentialRampToValueAtTime(0.01, audioCtx.currentTime + 0.05);
+  const level = CLICK_GAIN * settings.clickVolume;
+  gain.gain.setValueAtTime(level, audioCtx.currentTime);
+  gain.gain.exponentialRampToValueAtTime(level / 3, audioCtx.currentTime + 0.05);
 
   osc.start(audioCtx.currentTime);
   osc.stop(audioCtx.currentTime + 0.05);
@@ -160,276 +734,1173 @@ let nLevel = 2;
 let numTrials = 20;
 let currentTrial = 0;
 let sequence = [];  // Pre-generated game sequence
-let responses = [];
-let gameActive = false;
-let stimulusShown = false;
-let gameTimeout = null;
-
-// Thresholds for level changes
+let responses = [];  // Per trial: { responded: { position: true }, rt: { position: 412 }, onset, inputs: [{ direction, t }], audioFailed }
+let gameActive = false;  // True from the lead-in until the game finishes or is exited
+let gameSetup = null;  // currentSetup() captured when the game starts
+let training = null;  // { id, rounds, results: [{ nLevel, overallPct, modalities }] } during a training session
+
+// Game loop state (see GAME LOOP)
+let gamePhase = 'idle';  // 'idle', 'leadIn', 'stimulus', 'response', 'paused' or 'finished'
+let phaseEndsAt = null;  // performance.now() deadline of the current phase
+let gameTimer = null;    // The one pending phase timer
+let trialStartsAt = 0;   // Planned onset of the current trial
+let pausedState = null;  // { phase, remaining, at } while paused
+let resumeTo = null;     // pausedState to restore once the post-pause lead-in ends
+let trialAudio = null;   // { trial, source, startsAt, heardAt } for the last scheduled letter
+
+// Default thresholds for level changes (editable in settings)
 const LEVEL_UP_THRESHOLD = 85;
 const LEVEL_DOWN_THRESHOLD = 70;
+const MODALITY_MIN_THRESHOLD = 75;
 
-// Immediate feedback: show subtle correct/incorrect indicator on input
-// Set to false for "pure" training mode without feedback cues
-const SHOW_IMMEDIATE_FEEDBACK = true;
+// Same idea for d′ (average over the mode's modalities). With the 1/(2N)
+// correction a perfect 20-trial round lands around d′ 3, one miss ~2.6.
+const LEVEL_UP_DPRIME = 2.5;
+const LEVEL_DOWN_DPRIME = 1.5;
+const MODALITY_MIN_DPRIME = 2.0;
+
+// How long a trial's per-modality feedback stays on the response chips
+const FEEDBACK_MS = 400;
 
 // ===========================================
 // SEQUENCE GENERATION
 // ===========================================
 // Pre-generates the entire game sequence with guaranteed match counts.
 // This prevents variable difficulty from random match distributions
-// and eliminates accidental matches on non-match trials.
+// and eliminates accidental matches on non-match trials. The same seed
+// and setup always give the same sequence.
 
-function buildGameSequence(n, totalTrials) {
+function buildGameSequence(n, totalTrials, setup = {}, seed = newSeed()) {
+  const random = createRandom(seed);
+  const modalities = GAME_MODES[setup.mode || DEFAULT_MODE].modalities;
   const matchableTrials = totalTrials - n;  // Trials where matches are possible
 
-  // Calculate match counts (roughly 30% each, with some dual matches)
-  // For 20 trials with n=2, that's 18 matchable trials
+  const singleMatchRate = setup.singleMatchRate ?? DEFAULT_SINGLE_MATCH_RATE;
+  const allMatchRate = setup.allMatchRate ?? DEFAULT_ALL_MATCH_RATE;
+  const lureRate = setup.lureRate ?? DEFAULT_LURE_RATE;
+
+  // Calculate match counts (by default roughly 30% per modality, with some
+  // trials where every modality matches). For dual with 20 trials and n=2,
+  // that's 18 matchable trials.
   // Target: ~4 position-only, ~4 audio-only, ~2 dual = 6 total each type
-  const dualMatches = Math.max(1, Math.round(matchableTrials * 0.10));
-  const positionOnlyMatches = Math.max(2, Math.round(matchableTrials * 0.20));
-  const audioOnlyMatches = Math.max(2, Math.round(matchableTrials * 0.20));
+  const allMatches = allMatchRate > 0 ? Math.max(1, Math.round(matchableTrials * allMatchRate)) : 0;
+  const singleMatches = Math.max(2, Math.round(matchableTrials * singleMatchRate));
 
   // Pick which trial indices will have matches (indices are 0-based, starting from n)
-  const positionMatchTrials = new Set();
-  const audioMatchTrials = new Set();
+  const matchTrials = {};
+  modalities.forEach(modality => { matchTrials[modality] = new Set(); });
 
-  // Helper: pick random trials that aren't already selected
+  // Helper: pick random trials that aren't already selected. Settings
+  // can ask for more than there are (e.g. 10 trials at 9-back), so this
+  // returns fewer rather than searching forever.
   function pickRandomTrials(count, excludeSet) {
+    const candidates = [];
+    for (let trial = n; trial < totalTrials; trial++) {
+      if (!excludeSet.has(trial)) candidates.push(trial);
+    }
+
+    // Partial Fisher-Yates shuffle
     const picked = [];
-    while (picked.length < count) {
-      const trial = n + Math.floor(Math.random() * matchableTrials);
-      if (!excludeSet.has(trial) && !picked.includes(trial)) {
-        picked.push(trial);
-      }
+    while (picked.length < count && candidates.length > 0) {
+      const index = Math.floor(random() * candidates.length);
+      picked.push(candidates[index]);
+      candidates[index] = candidates[candidates.length - 1];
+      candidates.pop();
     }
     return picked;
   }
 
-  // 1. Pick position-only matches
-  const posOnly = pickRandomTrials(positionOnlyMatches, new Set());
-  posOnly.forEach(t => positionMatchTrials.add(t));
-
-  // 2. Pick audio-only matches (excluding position matches)
-  const audOnly = pickRandomTrials(audioOnlyMatches, positionMatchTrials);
-  audOnly.forEach(t => audioMatchTrials.add(t));
+  // 1. Single-modality matches, each on trials no other modality matches
+  //    on. With 3+ modalities there may not be room, then they overlap.
+  const taken = new Set();
+  for (const modality of modalities) {
+    const hasRoom = matchableTrials - taken.size >= singleMatches + allMatches;
+    const picked = pickRandomTrials(singleMatches, hasRoom ? taken : new Set());
+    picked.forEach(t => {
+      matchTrials[modality].add(t);
+      taken.add(t);
+    });
+  }
 
-  // 3. Pick dual matches (new trials for both)
-  const excluded = new Set([...positionMatchTrials, ...audioMatchTrials]);
-  const dual = pickRandomTrials(dualMatches, excluded);
-  dual.forEach(t => {
-    positionMatchTrials.add(t);
-    audioMatchTrials.add(t);
-  });
+  // 2. Trials where every modality matches (new trials for all)
+  const hasRoom = matchableTrials - taken.size >= allMatches;
+  const all = pickRandomTrials(allMatches, hasRoom ? taken : new Set());
+  all.forEach(t => modalities.forEach(modality => matchTrials[modality].add(t)));
 
-  // Now generate the actual sequence
-  const positions = [];
-  const letterSeq = [];
+  // Now generate the actual values, per modality
+  const values = {};
+  modalities.forEach(modality => { values[modality] = []; });
 
   // Helper: pick a random value different from a target
   function randomExcluding(max, exclude) {
-    const val = Math.floor(Math.random() * (max - 1));
+    const val = Math.floor(random() * (max - 1));
     return val >= exclude ? val + 1 : val;
   }
 
-  for (let i = 0; i < totalTrials; i++) {
-    if (i < n) {
-      // First n trials: completely random
-      positions.push(Math.floor(Math.random() * 9));
-      letterSeq.push(letters[Math.floor(Math.random() * letters.length)]);
-    } else {
-      // Position: match or guaranteed non-match
-      if (positionMatchTrials.has(i)) {
-        positions.push(positions[i - n]);
-      } else {
-        positions.push(randomExcluding(9, positions[i - n]));
-      }
+  // Helper: the value from n-1 or n+1 back, as long as it isn't a match, or null
+  function pickNearMiss(seq, i) {
+    const candidates = [i - n + 1, i - n - 1]
+      .filter(j => j >= 0 && j < i && seq[j] !== seq[i - n])
+      .map(j => seq[j]);
+    if (candidates.length === 0) return null;
+    return candidates[Math.floor(random() * candidates.length)];
+  }
 
-      // Audio: match or guaranteed non-match
-      if (audioMatchTrials.has(i)) {
-        letterSeq.push(letterSeq[i - n]);
+  // Helper: a letter from the pool that sounds like the given one, or null
+  function pickConfusable(letter, pool) {
+    const group = PHONETIC_GROUPS.find(g => g.includes(letter)) || [];
+    const candidates = group.filter(l => l !== letter && pool.includes(l));
+    if (candidates.length === 0) return null;
+    return candidates[Math.floor(random() * candidates.length)];
+  }
+
+  for (let i = 0; i < totalTrials; i++) {
+    for (const modality of modalities) {
+      const pool = MODALITIES[modality].pool();
+      const seq = values[modality];
+
+      if (i < n) {
+        // First n trials: completely random
+        seq.push(pool[Math.floor(random() * pool.length)]);
+      } else if (matchTrials[modality].has(i)) {
+        seq.push(seq[i - n]);
       } else {
-        const prevLetterIndex = letters.indexOf(letterSeq[i - n]);
-        const newIndex = randomExcluding(letters.length, prevLetterIndex);
-        letterSeq.push(letters[newIndex]);
+        // Guaranteed non-match: optionally an n±1 lure, or for audio a
+        // similar-sounding letter, otherwise anything but the n-back value
+        let lure = random() < lureRate ? pickNearMiss(seq, i) : null;
+        if (lure === null && modality === 'audio' && setup.confusionLures && random() < CONFUSION_LURE_RATE) {
+          lure = pickConfusable(seq[i - n], pool);
+        }
+        const newIndex = randomExcluding(pool.length, pool.indexOf(seq[i - n]));
+        seq.push(lure ?? pool[newIndex]);
       }
     }
   }
 
-  // Build sequence array with match flags for debugging/verification
+  // Build sequence array with match flags for scoring and the replay
   const seq = [];
   for (let i = 0; i < totalTrials; i++) {
-    seq.push({
-      position: positions[i],
-      letter: letterSeq[i],
-      isPositionMatch: positionMatchTrials.has(i),
-      isAudioMatch: audioMatchTrials.has(i)
-    });
+    const stimulus = { values: {}, matches: {}, display: {} };
+    for (const modality of modalities) {
+      const value = values[modality][i];
+      stimulus.values[modality] = value;
+      stimulus.matches[modality] = matchTrials[modality].has(i);
+      if (MODALITIES[modality].describe) {
+        stimulus.display[modality] = MODALITIES[modality].describe(value, random);
+      }
+    }
+    seq.push(stimulus);
   }
 
   return seq;
 }
 
-// Touch handling
-let touchStartX = 0;
-let touchStartY = 0;
-const SWIPE_THRESHOLD = 50;
-
 // ===========================================
-// UI FUNCTIONS
+// CHALLENGE CODES
 // ===========================================
-function adjustN(delta) {
-  nLevel = Math.max(1, Math.min(9, nLevel + delta));
-  document.getElementById('n-value').textContent = nLevel;
+// A challenge code pins down everything buildGameSequence uses, so two
+// players entering the same code get the same rounds. Format, dot separated:
+// version, seed (base 36), N, trials, mode, letter set name (or the letters
+// themselves for custom sets), stimulus ms, trial ms, single / all / n±1
+// lure rates in percent, confusion lures (0/1).
+const CHALLENGE_VERSION = 'c1';
+
+let pendingChallenge = null; // { seed, code } for the next round, or null
+
+function encodeChallenge(seed, n, trials, setup) {
+  // Custom letters go in the code; multi-character ones (syllables) dash-separated
+  const customLetters = setup.letterSet.startsWith(CUSTOM_SET_PREFIX) && letterSetLetters(setup.letterSet);
+  const letterSet = customLetters
+    ? customLetters.join(customLetters.some(letter => letter.length > 1) ? '-' : '')
+    : setup.letterSet;
+  return [
+    CHALLENGE_VERSION,
+    seed.toString(36),
+    n,
+    trials,
+    setup.mode,
+    letterSet,
+    setup.stimulusMs,
+    setup.trialMs,
+    Math.round(setup.singleMatchRate * 100),
+    Math.round(setup.allMatchRate * 100),
+    Math.round(setup.lureRate * 100),
+    setup.confusionLures ? 1 : 0
+  ].join('.');
 }
 
-function adjustTrials(delta) {
-  numTrials = Math.max(10, Math.min(50, numTrials + delta));
-  document.getElementById('trials-value').textContent = numTrials;
-}
+// Accepts a bare code or a link containing ?challenge=. Returns null if invalid.
+function decodeChallenge(text) {
+  const code = text.trim().replace(/^.*[?&]challenge=/, '').replace(/[&#].*$/, '');
+  const parts = code.split('.');
+  if (parts.length !== 12 || parts[0] !== CHALLENGE_VERSION) return null;
 
-function showScreen(screenId) {
-  document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
-  document.getElementById(screenId).classList.add('active');
+  const [, seed, n, trials, mode, letterSet, stimulusMs, trialMs, single, all, lure, confusion] = parts;
+  const number = (text, min, max) => {
+    const value = Number(text);
+    return Number.isInteger(value) && value >= min && value <= max ? value : null;
+  };
+  const namedSet = !letterSet.startsWith(CUSTOM_SET_PREFIX) && letterSetLetters(letterSet);
+  const letterList = namedSet ? null : letterSet.split(letterSet.includes('-') ? '-' : '');
+  if (letterList && (letterList.length < MIN_CUSTOM_SET_SIZE ||
+    letterList.some(letter => !availableLetters().includes(letter)))) return null;
+
+  const challenge = {
+    seed: parseInt(seed, 36),
+    n: number(n, 1, 9),
+    trials: number(trials, 10, 50),
+    mode: GAME_MODES[mode] ? mode : null,
+    letterSet: letterList ? null : letterSet,
+    letters: letterList,
+    stimulusMs: number(stimulusMs, MIN_STIMULUS_MS, MAX_STIMULUS_MS),
+    trialMs: number(trialMs, MIN_STIMULUS_MS + MIN_RESPONSE_GAP_MS, MAX_TRIAL_MS),
+    singleMatchRate: number(single, 0, 100),
+    allMatchRate: number(all, 0, 100),
+    lureRate: number(lure, 0, 100),
+    confusionLures: confusion === '1'
+  };
+  if (!(challenge.seed >= 0 && challenge.seed < 2 ** 32)) return null;
+  const required = ['n', 'trials', 'mode', 'stimulusMs', 'trialMs', 'singleMatchRate', 'allMatchRate', 'lureRate'];
+  if (required.some(key => challenge[key] === null)) return null;
+  if (challenge.trialMs - challenge.stimulusMs < MIN_RESPONSE_GAP_MS) return null;
+  return challenge;
 }
 
-function exitGame() {
-  gameActive = false;
-  if (gameTimeout) {
-    clearTimeout(gameTimeout);
-    gameTimeout = null;
+// Switches the start screen to the challenge's options. The seed is used
+// by the next round only if nothing was changed in between.
+function applyChallenge(challenge) {
+  nLevel = challenge.n;
+  numTrials = challenge.trials;
+  document.getElementById('n-value').textContent = nLevel;
+  document.getElementById('trials-value').textContent = numTrials;
+
+  settings.gameMode = challenge.mode;
+  settings.stimulusMs = challenge.stimulusMs;
+  settings.trialMs = challenge.trialMs;
+  settings.singleMatchRate = challenge.singleMatchRate / 100;
+  settings.allMatchRate = challenge.allMatchRate / 100;
+  settings.lureRate = challenge.lureRate / 100;
+  settings.confusionLures = challenge.confusionLures;
+
+  // Custom letters: reuse a saved set with the same letters, or save one
+  let letterSet = challenge.letterSet;
+  if (challenge.letters) {
+    const key = challenge.letters.join('');
+    const existing = Object.entries(settings.customSets).find(([, set]) => set.join('') === key);
+    const name = existing ? existing[0] : 'Challenge';
+    settings.customSets[name] = challenge.letters;
+    letterSet = CUSTOM_SET_PREFIX + name;
   }
-  hideStimulus();
-  hidePauseModal();
-  showScreen('start-screen');
+  saveSettings();
+  renderGameModeSetting();
+  selectLetterSet(letterSet);
+
+  const code = encodeChallenge(challenge.seed, nLevel, numTrials, currentSetup());
+  pendingChallenge = { seed: challenge.seed, code };
+  renderChallengeStatus();
 }
 
-// ===========================================
-// GAME LOGIC
-// ===========================================
-async function startGame() {
-  await initAudio();
+function enterChallengeCode() {
+  const text = prompt('Enter a challenge code or link');
+  if (!text) return;
 
-  currentTrial = 0;
-  sequence = buildGameSequence(nLevel, numTrials);
-  responses = sequence.map(() => ({ position: null, audio: null }));
-  gameActive = true;
+  const challenge = decodeChallenge(text);
+  if (!challenge) {
+    alert('That challenge code is not valid.');
+    return;
+  }
+  applyChallenge(challenge);
+}
 
-  document.getElementById('trial-total').textContent = numTrials;
-  document.getElementById('n-display').textContent = `${nLevel}-Back`;
+function clearChallenge() {
+  pendingChallenge = null;
+  renderChallengeStatus();
+}
 
-  showScreen('game-screen');
-  document.getElementById('gesture-hint').style.opacity = '0';
+// Whether the pending challenge matches the options on the start screen
+function challengeApplies(challenge) {
+  return Boolean(challenge) && challenge.code === encodeChallenge(challenge.seed, nLevel, numTrials, currentSetup());
+}
 
-  gameTimeout = setTimeout(nextTrial, 1000);
+// Seed for the next round: the pending challenge's if it still applies
+function takeChallengeSeed() {
+  const challenge = pendingChallenge;
+  pendingChallenge = null;
+  renderChallengeStatus();
+  return challengeApplies(challenge) ? challenge.seed : newSeed();
 }
 
-function nextTrial() {
-  if (currentTrial >= numTrials) {
-    endGame();
-    return;
-  }
+function renderChallengeStatus() {
+  document.getElementById('challenge-status').innerHTML = pendingChallenge
+    ? `Challenge loaded <button class="link-btn" onclick="clearChallenge()">Clear</button>`
+    : '';
+}
 
-  const stimulus = sequence[currentTrial];
+function challengeLink(code) {
+  return `${location.origin}${location.pathname}?challenge=${code}`;
+}
 
-  currentTrial++;
-  document.getElementById('trial-num').textContent = currentTrial;
+// A null code (the round can't be replayed elsewhere) clears the last one
+function showChallengeCode(code) {
+  document.getElementById('last-challenge').innerHTML = code ? `
+    <span class="score-label">Challenge code</span>
+    <code class="challenge-code">${code}</code>
+    <button class="link-btn" onclick="copyChallengeLink('${code}')">Copy link</button>
+  ` : '';
+}
 
-  // Show gesture hint once responses become meaningful
-  if (currentTrial === nLevel + 1) {
-    document.getElementById('gesture-hint').style.opacity = '1';
+async function copyChallengeLink(code) {
+  try {
+    await navigator.clipboard.writeText(challengeLink(code));
+  } catch (e) {
+    console.warn('Failed to copy challenge link:', e);
+    prompt('Copy this link', challengeLink(code));
   }
+}
 
-  // Show stimulus
-  showStimulus(stimulus.position, stimulus.letter);
-  stimulusShown = true;
+// Touch handling
+let touchStartX = 0;
+let touchStartY = 0;
+const SWIPE_THRESHOLD = 50;
 
-  // Hide after 500ms, then wait before next trial
-  gameTimeout = setTimeout(() => {
-    if (!gameActive) return;
-    hideStimulus();
-    stimulusShown = false;
+// ===========================================
+// UI FUNCTIONS
+// ===========================================
+function adjustN(delta) {
+  nLevel = Math.max(1, Math.min(9, nLevel + delta));
+  document.getElementById('n-value').textContent = nLevel;
+}
 
-    gameTimeout = setTimeout(() => {
-      if (!gameActive) return;
+function adjustTrials(delta) {
+  numTrials = Math.max(10, Math.min(50, numTrials + delta));
+  document.getElementById('trials-value').textContent = numTrials;
+}
 
-      // Evaluate the trial that just ended (before showing next stimulus)
-      evaluateTrialFeedback(currentTrial - 1);
+function cycleGameMode(delta) {
+  const names = Object.keys(GAME_MODES);
+  const index = names.indexOf(settings.gameMode);
+  settings.gameMode = names[(index + delta + names.length) % names.length];
+  saveSettings();
+  renderGameModeSetting();
+}
 
-      nextTrial();
-    }, 2000);
-  }, 500);
+function renderGameModeSetting() {
+  const mode = GAME_MODES[settings.gameMode];
+  document.getElementById('mode-value').textContent = mode.label;
+
+  // Instructions follow the mode's gestures and the control settings
+  document.getElementById('instructions').innerHTML = `
+    <strong class="touch-hint">${settings.touchButtons ? 'Buttons' : 'Gestures'}:</strong>
+    <strong class="keyboard-hint">Keyboard:</strong><br>
+    ${Object.entries(mode.gestures).map(([slot, action]) =>
+      `${controlHint(slot)} ${gestureActionLabel(action, mode)}`
+    ).join('<br>')}
+    ${settings.inputMode === 'toggle' ? '<br>Repeat a gesture to take it back' : ''}
+  `;
 }
 
-function showStimulus(position, letter) {
-  document.querySelectorAll('.cell').forEach(c => c.classList.remove('active'));
-  document.querySelector(`.cell[data-pos="${position}"]`).classList.add('active');
-  playLetter(letter);
+// How to trigger a slot: the swipe (or button) on touch screens, keys otherwise
+function controlHint(slot) {
+  const swipe = swappedSwipe(slot);
+  const touch = settings.touchButtons ? DIRECTION_ARROWS[slot]
+    : swipe === 'tap' ? 'Tap' : `Swipe ${DIRECTION_ARROWS[swipe]}`;
+  const keys = (settings.keyBindings[slot] || []).map(key => escapeHtml(keyLabel(key))).join(' / ') || '&mdash;';
+  return `<span class="touch-hint">${touch}</span><span class="keyboard-hint">${keys}</span>`;
 }
 
-function hideStimulus() {
-  document.querySelectorAll('.cell').forEach(c => c.classList.remove('active'));
+function cycleLetterSet(delta) {
+  const names = letterSetNames();
+  const index = names.indexOf(settings.letterSet);
+  selectLetterSet(names[(index + delta + names.length) % names.length]);
 }
 
-function handleInput(direction) {
-  if (!gameActive || currentTrial < nLevel + 1) return;
+function selectLetterSet(name) {
+  if (!letterSetLetters(name)) return;
 
-  playClick();
+  settings.letterSet = name;
+  pickedVoice.letterSet = name;
+  saveSettings();
+  letters = letterSetLetters(name);
+  renderLetterSetSetting();
+  loadAudioFiles();
+}
 
-  const responseIndex = currentTrial - 1;
-
-  // Map swipe to response
-  // left = position match, right = audio match, up = both, down = neither
-  // left and right are additive; down cancels previous input
-  switch(direction) {
-    case 'left':
-      responses[responseIndex].position = true;
-      break;
-    case 'right':
-      responses[responseIndex].audio = true;
-      break;
-    case 'up':
-      responses[responseIndex].position = true;
-      responses[responseIndex].audio = true;
-      break;
-    case 'down':
-      responses[responseIndex].position = null;
-      responses[responseIndex].audio = null;
-      break;
-  }
+function renderLetterSetSetting() {
+  document.getElementById('letter-set-value').textContent = letterSetLabel(settings.letterSet);
+  document.getElementById('letter-set-letters').textContent =
+    letters.join(' ') + (settings.confusionLures ? ' · lures' : '');
+}
 
-  showCrossShift(direction);
+// ===========================================
+// SETTINGS MODAL
+// ===========================================
+// Less frequently changed options. Each control calls setSetting().
+function toggleSettings() {
+  const modal = document.getElementById('settings-modal');
+  if (modal.classList.contains('active')) {
+    rebinding = null;
+    modal.classList.remove('active');
+  } else {
+    renderSettings();
+    modal.classList.add('active');
+  }
 }
 
-// Evaluate and show correctness feedback for a completed trial
-function evaluateTrialFeedback(trialIndex) {
-  if (!SHOW_IMMEDIATE_FEEDBACK || trialIndex < nLevel) return;
+function setSetting(key, value) {
+  settings[key] = value;
+  saveSettings();
+  renderSettings();
+  renderGameModeSetting(); // Instructions show the controls
+}
 
-  const stimulus = sequence[trialIndex];
-  const response = responses[trialIndex];
+// Segmented buttons for picking one of several values
+function choiceControl(key, options) {
+  return `<div class="choice-control">${options.map(([value, label]) => `
+    <button class="toggle-btn${settings[key] === value ? ' on' : ''}"
+            onclick="setSetting('${key}', ${escapeHtml(JSON.stringify(value))})">${label}</button>
+  `).join('')}</div>`;
+}
 
-  const positionResponded = response.position === true;
-  const audioResponded = response.audio === true;
-  const wasPositionMatch = stimulus.isPositionMatch;
-  const wasAudioMatch = stimulus.isAudioMatch;
+// −/+ buttons around a value; handlers are inline JS snippets
+function stepperControl(label, value, onMinus, onPlus) {
+  return `
+    <div class="settings-row">
+      <span class="level-details">${label}</span>
+      <div class="setting-control stepper">
+        <button class="setting-btn" onclick="${onMinus}">&minus;</button>
+        <span class="setting-value">${value}</span>
+        <button class="setting-btn" onclick="${onPlus}">+</button>
+      </div>
+    </div>
+  `;
+}
 
-  // Skip feedback if no response and no match (true negative, nothing to show)
-  if (!positionResponded && !audioResponded && !wasPositionMatch && !wasAudioMatch) return;
+function adjustThreshold(name, steps) {
+  const model = SCORING_MODELS[settings.scoringModel];
+  const thresholds = levelThresholds();
+  let value = Math.round((thresholds[name] + steps * model.step) * 100) / 100;
+  value = Math.max(model.min, Math.min(model.max, value));
 
-  const positionCorrect = wasPositionMatch === positionResponded;
-  const audioCorrect = wasAudioMatch === audioResponded;
+  // Keep the level-up threshold above the level-down one
+  if (name === 'up' && value <= thresholds.down) return;
+  if (name === 'down' && value >= thresholds.up) return;
 
-  showCrossCorrectness(positionCorrect && audioCorrect);
+  settings.thresholds[settings.scoringModel] = {
+    ...settings.thresholds[settings.scoringModel],
+    [name]: value
+  };
+  saveSettings();
+  renderSettings();
 }
 
-function showCrossCorrectness(isCorrect) {
-  const cross = document.getElementById('center-cross');
+function resetThresholds() {
+  delete settings.thresholds[settings.scoringModel];
+  saveSettings();
+  renderSettings();
+}
 
-  cross.classList.add(isCorrect ? 'correct' : 'incorrect');
+function adjustStimulusMs(steps) {
+  const stimulusMs = Math.max(MIN_STIMULUS_MS, Math.min(MAX_STIMULUS_MS, settings.stimulusMs + steps * TRIAL_MS_STEP));
+  settings.stimulusMs = stimulusMs;
+  // Keep a usable response gap after the stimulus
+  settings.trialMs = Math.max(settings.trialMs, stimulusMs + MIN_RESPONSE_GAP_MS);
+  saveSettings();
+  renderSettings();
+}
 
-  setTimeout(() => {
-    cross.classList.remove('correct', 'incorrect');
-  }, 400);
+function adjustTrialMs(steps) {
+  const trialMs = settings.trialMs + steps * TRIAL_MS_STEP;
+  setSetting('trialMs', Math.max(settings.stimulusMs + MIN_RESPONSE_GAP_MS, Math.min(MAX_TRIAL_MS, trialMs)));
+}
+
+function adjustRate(key, steps) {
+  const [min, max] = RATE_LIMITS[key];
+  const rate = Math.round((settings[key] + steps * RATE_STEP) * 100) / 100;
+  setSetting(key, Math.max(min, Math.min(max, rate)));
+}
+
+function adjustVolume(key, steps) {
+  const [min, max] = VOLUME_LIMITS;
+  const volume = Math.round((settings[key] + steps * VOLUME_STEP) * 10) / 10;
+  setSetting(key, Math.max(min, Math.min(max, volume)));
+  if (key === 'clickVolume') playClick(); // Preview
+}
+
+function adjustSessionRounds(delta) {
+  setSetting('sessionRounds', Math.max(1, Math.min(30, settings.sessionRounds + delta)));
+}
+
+function adjustDailyGoal(delta) {
+  setSetting('dailyGoal', Math.max(0, Math.min(50, settings.dailyGoal + delta)));
+  renderStreakStatus();
+}
+
+function adjustDemotionStrikes(delta) {
+  setSetting('demotionStrikes', Math.max(2, Math.min(10, settings.demotionStrikes + delta)));
+}
+
+function renderSettings() {
+  const model = SCORING_MODELS[settings.scoringModel];
+  const thresholds = levelThresholds();
+  const policy = settings.progressionPolicy;
+
+  let html = `
+    <div class="stats-section-title">Scoring</div>
+    <div class="settings-row">
+      <span class="level-details">Model used for level changes</span>
+      ${choiceControl('scoringModel', [['brainworkshop', 'TP %'], ['signalDetection', 'd′']])}
+    </div>
+    <div class="settings-row">
+      <span class="level-details">Feedback after each trial</span>
+      ${choiceControl('feedback', [[true, 'On'], [false, 'Off']])}
+    </div>
+    <div class="setting-hint">Rounds without feedback are kept as separate stats</div>
+
+    <div class="stats-section-title">Progression</div>
+    ${choiceControl('progressionPolicy', Object.entries(PROGRESSION_POLICIES)
+      .map(([key, p]) => [key, p.label]))}
+  `;
+
+  if (policy !== 'manual') {
+    html += `
+      <div class="setting-hint">${model.label}</div>
+      ${stepperControl('Level up at', model.format(thresholds.up),
+        "adjustThreshold('up', -1)", "adjustThreshold('up', 1)")}
+      ${stepperControl('Drop below', model.format(thresholds.down),
+        "adjustThreshold('down', -1)", "adjustThreshold('down', 1)")}
+    `;
+  }
+  if (policy === 'perModality') {
+    html += stepperControl('Each modality at least', model.format(thresholds.modalityMin),
+      "adjustThreshold('modalityMin', -1)", "adjustThreshold('modalityMin', 1)");
+  }
+  if (policy === 'strikes') {
+    html += stepperControl('Rounds below before dropping', settings.demotionStrikes,
+      'adjustDemotionStrikes(-1)', 'adjustDemotionStrikes(1)');
+  }
+  if (policy !== 'manual') {
+    html += '<button class="link-btn" onclick="resetThresholds()">Reset thresholds</button>';
+  }
+
+  html += `
+    <div class="stats-section-title">Timing</div>
+    ${stepperControl('Stimulus shown', formatSeconds(settings.stimulusMs),
+      'adjustStimulusMs(-1)', 'adjustStimulusMs(1)')}
+    ${stepperControl('Trial length', formatSeconds(settings.trialMs),
+      'adjustTrialMs(-1)', 'adjustTrialMs(1)')}
+
+    <div class="stats-section-title">Sequence</div>
+    ${stepperControl('Matches per modality', formatPct(settings.singleMatchRate),
+      "adjustRate('singleMatchRate', -1)", "adjustRate('singleMatchRate', 1)")}
+    ${stepperControl('All modalities match', formatPct(settings.allMatchRate),
+      "adjustRate('allMatchRate', -1)", "adjustRate('allMatchRate', 1)")}
+    ${stepperControl('n±1 lures', formatPct(settings.lureRate),
+      "adjustRate('lureRate', -1)", "adjustRate('lureRate', 1)")}
+    <div class="setting-hint">Lures repeat the item from one step before or after the n-back target</div>
+
+    <div class="stats-section-title">Voice</div>
+    <div class="choice-control">${Object.values(audioPacks).map(pack => `
+      <button class="toggle-btn${pack.id === settings.audioPack ? ' on' : ''}"
+              onclick="selectAudioPack('${pack.id}')">${escapeHtml(pack.label)}</button>
+    `).join('')}</div>
+    <div class="setting-hint">${audioPack ? `${audioPack.letters.length} clips: ${escapeHtml(audioPack.letters.join(' '))}` : 'No voice packs loaded'}</div>
+
+    <div class="stats-section-title">Audio</div>
+    ${stepperControl('Letter volume', formatPct(settings.letterVolume),
+      "adjustVolume('letterVolume', -1)", "adjustVolume('letterVolume', 1)")}
+    <div class="settings-row">
+      <span class="level-details">Even out letter loudness</span>
+      ${choiceControl('normalizeLetters', [[true, 'On'], [false, 'Off']])}
+    </div>
+    <div class="settings-row">
+      <span class="level-details">On each input</span>
+      ${choiceControl('inputFeedback', [['click', 'Click'], ['vibrate', 'Vibrate'], ['off', 'Nothing']])}
+    </div>
+    ${settings.inputFeedback === 'click'
+      ? stepperControl('Click volume', formatPct(settings.clickVolume),
+        "adjustVolume('clickVolume', -1)", "adjustVolume('clickVolume', 1)")
+      : ''}
+    ${settings.inputFeedback === 'vibrate' && !('vibrate' in navigator)
+      ? '<div class="setting-hint">This device doesn\'t support vibration</div>'
+      : ''}
+
+    <div class="stats-section-title">Training</div>
+    ${stepperControl('Rounds per session', settings.sessionRounds === 1 ? 'Single' : settings.sessionRounds,
+      'adjustSessionRounds(-1)', 'adjustSessionRounds(1)')}
+    ${stepperControl('Daily goal', settings.dailyGoal === 0 ? 'Any round' : `${settings.dailyGoal} rounds`,
+      'adjustDailyGoal(-1)', 'adjustDailyGoal(1)')}
+    <div class="setting-hint">Days that reach the goal extend your streak</div>
+
+    ${renderControlSettings()}
+  `;
+
+  document.getElementById('settings-body').innerHTML = html;
+}
+
+// ===========================================
+// CONTROL SETTINGS
+// ===========================================
+// Rebinding waits for the next key or gamepad button (see the keydown
+// listener and pollGamepads); Escape cancels.
+let rebinding = null;  // { slot, device: 'key' | 'gamepad' } while waiting
+
+function startRebind(slot, device) {
+  rebinding = { slot, device };
+  renderSettings();
+}
+
+function finishRebind(value) {
+  const key = rebinding.device === 'key' ? 'keyBindings' : 'gamepadBindings';
+  const bindings = {};
+  for (const slot of CONTROL_SLOTS) {
+    // Each key or button triggers one slot only
+    bindings[slot] = (settings[key][slot] || []).filter(bound => bound !== value);
+  }
+  bindings[rebinding.slot] = [value];
+  rebinding = null;
+  setSetting(key, bindings);
+}
+
+function cancelRebind() {
+  rebinding = null;
+  renderSettings();
+}
+
+function applyKeyPreset(name) {
+  rebinding = null;
+  setSetting('keyBindings', KEY_PRESETS[name].keys);
+}
+
+function resetGamepadBindings() {
+  rebinding = null;
+  setSetting('gamepadBindings', DEFAULT_GAMEPAD_BUTTONS);
+}
+
+function renderControlSettings() {
+  const mode = GAME_MODES[settings.gameMode];
+  const presetOn = preset => JSON.stringify(KEY_PRESETS[preset].keys) === JSON.stringify(settings.keyBindings);
+  const waiting = (slot, device) => rebinding?.slot === slot && rebinding.device === device;
+
+  const rows = CONTROL_SLOTS.map(slot => {
+    const action = mode.gestures[slot];
+    const keys = (settings.keyBindings[slot] || []).map(key => escapeHtml(keyLabel(key))).join(' / ') || '&mdash;';
+    const buttons = (settings.gamepadBindings[slot] || []).map(gamepadButtonLabel).join(' / ') || '&mdash;';
+    return `
+      <div class="settings-row control-row">
+        <span class="level-details">${DIRECTION_ARROWS[slot]} ${action ? gestureActionLabel(action, mode) : 'unused'}</span>
+        <button class="toggle-btn${waiting(slot, 'key') ? ' on' : ''}" onclick="startRebind('${slot}', 'key')">
+          ${waiting(slot, 'key') ? 'Press a key…' : keys}
+        </button>
+        <button class="toggle-btn${waiting(slot, 'gamepad') ? ' on' : ''}" onclick="startRebind('${slot}', 'gamepad')">
+          ${waiting(slot, 'gamepad') ? 'Press a button…' : buttons}
+        </button>
+      </div>
+    `;
+  }).join('');
+
+  const gamepads = [...(navigator.getGamepads?.() || [])].filter(Boolean);
+
+  return `
+    <div class="stats-section-title">Controls</div>
+    <div class="settings-row">
+      <span class="level-details">Key preset</span>
+      <div class="choice-control">${Object.entries(KEY_PRESETS).map(([name, preset]) => `
+        <button class="toggle-btn${presetOn(name) ? ' on' : ''}" onclick="applyKeyPreset('${name}')">${preset.label}</button>
+      `).join('')}</div>
+    </div>
+    <div class="setting-hint">Slot (current mode) &middot; key &middot; gamepad button. Click one to rebind it.</div>
+    ${rows}
+    ${rebinding ? '<button class="link-btn" onclick="cancelRebind()">Cancel rebinding</button>' : ''}
+    <div class="settings-row">
+      <span class="level-details">Gestures</span>
+      ${choiceControl('inputMode', [['additive', 'Mark'], ['toggle', 'Toggle']])}
+    </div>
+    <div class="setting-hint">${settings.inputMode === 'toggle'
+      ? 'Repeating a gesture unmarks its modalities'
+      : 'Gestures only mark; use clear to start over'}</div>
+    <div class="settings-row">
+      <span class="level-details">Swap swipes</span>
+      ${choiceControl('swipeSwap', [['none', 'Off'], ['horizontal', '&larr;&rarr;'], ['vertical', '&uarr;&darr;'], ['both', 'Both']])}
+    </div>
+    <div class="settings-row">
+      <span class="level-details">On-screen buttons</span>
+      ${choiceControl('touchButtons', [[false, 'Off'], [true, 'On']])}
+    </div>
+    <div class="setting-hint">
+      ${gamepads.length > 0 ? `Gamepad: ${escapeHtml(gamepads[0].id)}` : 'No gamepad connected (press a button to wake it)'}
+      &middot; <button class="link-btn" onclick="resetGamepadBindings()">Reset buttons</button>
+    </div>
+  `;
+}
+
+// ===========================================
+// LETTER SETS MODAL
+// ===========================================
+// Builds custom sets from the voice pack's letters and toggles confusion lures.
+let editorLetters = new Set();
+
+function toggleLetterSets() {
+  const modal = document.getElementById('letter-sets-modal');
+  if (modal.classList.contains('active')) {
+    modal.classList.remove('active');
+  } else {
+    // Start the editor from the active set so tweaking it is one step
+    editorLetters = new Set(letters);
+    document.getElementById('custom-set-name').value = settings.letterSet.startsWith(CUSTOM_SET_PREFIX)
+      ? letterSetLabel(settings.letterSet)
+      : '';
+    renderLetterSets();
+    modal.classList.add('active');
+  }
+}
+
+function toggleEditorLetter(letter) {
+  if (editorLetters.has(letter)) {
+    editorLetters.delete(letter);
+  } else {
+    editorLetters.add(letter);
+  }
+  renderLetterSets();
+}
+
+function editCustomSet(name) {
+  editorLetters = new Set(settings.customSets[name]);
+  document.getElementById('custom-set-name').value = name;
+  renderLetterSets();
+}
+
+function saveCustomSet() {
+  // '|' separates parts of stats bucket keys (see setupKey)
+  const name = document.getElementById('custom-set-name').value.replace(/\|/g, '').trim();
+  const setLetters = availableLetters().filter(l => editorLetters.has(l));
+
+  if (!name) {
+    alert('Give the set a name first.');
+    return;
+  }
+  if (setLetters.length < MIN_CUSTOM_SET_SIZE) {
+    alert(`Pick at least ${MIN_CUSTOM_SET_SIZE} letters.`);
+    return;
+  }
+
+  settings.customSets[name] = setLetters;
+  saveSettings();
+  selectLetterSet(CUSTOM_SET_PREFIX + name);
+  renderLetterSets();
+}
+
+function deleteCustomSet(name) {
+  if (!confirm(`Delete letter set "${name}"?`)) return;
+
+  delete settings.customSets[name];
+  saveSettings();
+
+  if (settings.letterSet === CUSTOM_SET_PREFIX + name) {
+    selectLetterSet(letterSetNames()[0]);
+  }
+  renderLetterSets();
+}
+
+function toggleConfusionLures() {
+  settings.confusionLures = !settings.confusionLures;
+  saveSettings();
+  renderLetterSetSetting();
+  renderLetterSets();
+}
+
+function renderLetterSets() {
+  const picker = document.getElementById('letter-picker');
+  picker.innerHTML = availableLetters().map(letter => `
+    <button class="letter-toggle${editorLetters.has(letter) ? ' on' : ''}"
+            onclick="toggleEditorLetter('${letter}')">${letter}</button>
+  `).join('');
+
+  const names = Object.keys(settings.customSets);
+  const list = document.getElementById('custom-set-list');
+  if (names.length === 0) {
+    list.innerHTML = '<div class="no-stats">No custom sets yet.</div>';
+  } else {
+    list.innerHTML = names.map(name => `
+      <div class="level-stat-row">
+        <span class="level-name" onclick="editCustomSet(${escapeHtml(JSON.stringify(name))})">${escapeHtml(name)}</span>
+        <span class="level-details">${settings.customSets[name].join(' ')}</span>
+        <button class="row-delete-btn" onclick="deleteCustomSet(${escapeHtml(JSON.stringify(name))})">&#10005;</button>
+      </div>
+    `).join('');
+  }
+
+  const lureBtn = document.getElementById('confusion-toggle');
+  lureBtn.textContent = settings.confusionLures ? 'On' : 'Off';
+  lureBtn.classList.toggle('on', settings.confusionLures);
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
+
+function showScreen(screenId) {
+  document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
+  document.getElementById(screenId).classList.add('active');
+}
+
+function exitGame() {
+  enterPhase('idle');
+  pausedState = null;
+  resumeTo = null;
+  cancelTrialAudio();
+  hideStimulus();
+  hidePauseModal();
+  showScreen('start-screen');
+  renderUpdateBanner();
+}
+
+// ===========================================
+// GAME LOGIC
+// ===========================================
+async function startGame() {
+  // Sequences only use letters that loaded, so a challenge played without
+  // some of them wouldn't be the same rounds
+  const missing = missingLetters();
+  if (missing.length > 0 && challengeApplies(pendingChallenge)) {
+    alert(`This challenge needs every letter of its set, but ${missing.join(', ')} didn't load. Retry loading them, or clear the challenge to play without them.`);
+    return;
+  }
+
+  await initAudio();
+
+  if (!training && settings.sessionRounds > 1) {
+    training = { id: new Date().toISOString(), rounds: settings.sessionRounds, results: [] };
+    renderTrainingStatus();
+  }
+  document.getElementById('block-summary').classList.remove('show');
+
+  currentTrial = 0;
+  const seed = takeChallengeSeed();
+  gameSetup = { ...currentSetup(), seed, inputMode: settings.inputMode };
+  sequence = buildGameSequence(nLevel, numTrials, gameSetup, seed);
+  responses = createResponses(sequence);
+
+  document.getElementById('trial-total').textContent = numTrials;
+  document.getElementById('n-display').textContent = `${nLevel}-Back`;
+  const mode = GAME_MODES[gameSetup.mode];
+  document.getElementById('gesture-hint').innerHTML = Object.entries(mode.gestures)
+    .map(([slot, action]) => `${controlHint(slot)} ${gestureActionLabel(action, mode)}`)
+    .join(' &nbsp;|&nbsp; ');
+  renderControlButtons(mode);
+  renderResponseChips(mode);
+
+  showScreen('game-screen');
+  document.getElementById('gesture-hint').style.opacity = '0';
+
+  resumeTo = null;
+  enterPhase('leadIn', performance.now() + LEAD_IN_MS);
+  scheduleTrialAudio(0, phaseEndsAt);
+}
+
+// onset is the performance.now() of the stimulus; input times and RTs are relative to it
+function createResponses(sequence) {
+  return sequence.map(() => ({ responded: {}, rt: {}, onset: null, inputs: [] }));
+}
+
+// ===========================================
+// GAME LOOP
+// ===========================================
+// The loop is a state machine:
+//
+//   idle -> leadIn -> stimulus -> response -> stimulus -> ... -> finished
+//
+// and leadIn, stimulus and response can go to paused and back. Each phase
+// ends at a deadline on the performance.now() clock, and trial deadlines
+// follow from the trial's planned onset rather than from when a timer
+// happened to fire, so timing doesn't drift over a round. There is only
+// ever one pending timer (gameTimer).
+//
+// Letters are handed to the AudioContext a phase ahead (during the lead-in
+// or the previous response window) so they start on the sample at the
+// trial's onset, when the timer lights the grid. A trial whose letter
+// couldn't be scheduled, or whose start the context clock never reached,
+// is marked audioFailed and left out of audio scoring.
+function enterPhase(phase, endsAt = null) {
+  gamePhase = phase;
+  gameActive = phase !== 'idle' && phase !== 'finished';
+  clearTimeout(gameTimer);
+  gameTimer = null;
+  phaseEndsAt = endsAt;
+  if (endsAt !== null) {
+    gameTimer = setTimeout(onPhaseTimer, Math.max(0, endsAt - performance.now()));
+  }
+}
+
+function onPhaseTimer() {
+  gameTimer = null;
+  // Timers may fire a little early; wait out the rest
+  if (performance.now() < phaseEndsAt) {
+    gameTimer = setTimeout(onPhaseTimer, phaseEndsAt - performance.now());
+    return;
+  }
+
+  if (gamePhase === 'leadIn') {
+    if (resumeTo) {
+      restorePhase(resumeTo);
+    } else {
+      startTrial(phaseEndsAt);
+    }
+  } else if (gamePhase === 'stimulus') {
+    hideStimulus();
+    confirmTrialAudio();
+    enterPhase('response', trialStartsAt + gameSetup.trialMs);
+    scheduleTrialAudio(currentTrial, phaseEndsAt);
+  } else if (gamePhase === 'response') {
+    // Evaluate the trial that just ended (before showing next stimulus)
+    evaluateTrialFeedback(currentTrial - 1);
+    if (currentTrial >= numTrials) {
+      endGame();
+    } else {
+      startTrial(trialStartsAt + gameSetup.trialMs);
+    }
+  }
+}
+
+// Shows the next stimulus. startsAt is its planned onset. A scheduled
+// letter fixes the onset on the audio clock, so the trial is timed from when
+// it's heard even if this timer ran late; without one, a late timer (a busy
+// or throttled tab) times the trial from now instead.
+function startTrial(startsAt) {
+  const now = performance.now();
+  const letterAt = scheduledLetterOnset(currentTrial, now);
+  if (letterAt !== null) {
+    trialStartsAt = letterAt;
+  } else {
+    trialStartsAt = now - startsAt > LATE_TOLERANCE_MS ? now : startsAt;
+  }
+
+  const stimulus = sequence[currentTrial];
+
+  currentTrial++;
+  document.getElementById('trial-num').textContent = currentTrial;
+  renderResponseState();
+
+  // Show gesture hint once responses become meaningful
+  if (currentTrial === nLevel + 1) {
+    document.getElementById('gesture-hint').style.opacity = '1';
+  }
+
+  showStimulus(stimulus);
+  responses[currentTrial - 1].onset = now;
+  enterPhase('stimulus', trialStartsAt + gameSetup.stimulusMs);
+}
+
+// Hands trial `index`'s letter (if the mode has audio) to the audio clock
+// for onset `at`
+function scheduleTrialAudio(index, at) {
+  trialAudio = null;
+  if (index >= numTrials || !('audio' in sequence[index].values)) return;
+
+  const scheduled = scheduleLetter(sequence[index].values.audio, at);
+  trialAudio = { trial: index, source: null, startsAt: null, ...scheduled };
+}
+
+// performance.now() time at which trial `index`'s scheduled letter is (or
+// was) heard, or null if it has none on a running context
+function scheduledLetterOnset(index, now) {
+  if (trialAudio?.trial !== index || !trialAudio.source || audioCtx.state !== 'running') return null;
+  return now + (trialAudio.heardAt - audioCtx.currentTime) * 1000;
+}
+
+// Stops a letter that hasn't been heard yet (or is still playing)
+function cancelTrialAudio() {
+  trialAudio?.source?.stop();
+  trialAudio = null;
+}
+
+// After the current trial's onset: sets its audioFailed unless its letter
+// was scheduled and the (running) context clock has passed its start. The
+// answer is kept on the response, so a pause (which cancels trialAudio)
+// and the replayed stimulus after it don't check again.
+function confirmTrialAudio() {
+  const index = currentTrial - 1;
+  if (!('audio' in sequence[index].values)) return;
+  if (responses[index].audioFailed !== undefined) return;
+
+  const started = trialAudio?.trial === index && trialAudio.source !== null &&
+    audioCtx.state === 'running' && audioCtx.currentTime >= trialAudio.startsAt;
+  responses[index].audioFailed = !started;
+}
+
+// Freezes the current phase with the time it had left
+function pauseGame() {
+  if (!['leadIn', 'stimulus', 'response'].includes(gamePhase)) return;
+
+  const now = performance.now();
+  if (gamePhase === 'stimulus') confirmTrialAudio();
+  // A resume lead-in that gets paused again goes back to the original phase,
+  // still timed from the first pause so restorePhase leaves out both
+  pausedState = resumeTo && gamePhase === 'leadIn'
+    ? resumeTo
+    : { phase: gamePhase, remaining: Math.max(0, phaseEndsAt - now), at: now };
+  resumeTo = null;
+  cancelTrialAudio();
+  hideStimulus();
+  enterPhase('paused');
+  showPauseModal();
+}
+
+// Continues after a lead-in, so the player can settle back in
+function resumeGame() {
+  if (gamePhase !== 'paused') return;
+
+  hidePauseModal();
+  resumeTo = pausedState;
+  pausedState = null;
+  enterPhase('leadIn', performance.now() + LEAD_IN_MS);
+  // The next onset is known already unless the pause was mid-stimulus
+  if (resumeTo.phase !== 'stimulus') {
+    scheduleTrialAudio(currentTrial, phaseEndsAt + resumeTo.remaining);
+  }
+}
+
+function togglePause() {
+  if (gamePhase === 'paused') {
+    resumeGame();
+  } else {
+    pauseGame();
+  }
+}
+
+// Picks the paused phase up where it stopped, timed from the end of the
+// resume lead-in. The trial's onset moves by the time spent paused, so RTs
+// and later deadlines leave the pause out; an interrupted stimulus is shown
+// again (without its letter) for its remaining time.
+function restorePhase({ phase, remaining, at }) {
+  const now = phaseEndsAt;
+  resumeTo = null;
+
+  if (phase !== 'leadIn') {
+    const pausedFor = now - at;
+    trialStartsAt += pausedFor;
+    responses[currentTrial - 1].onset += pausedFor;
+  }
+  if (phase === 'stimulus') {
+    showStimulus(sequence[currentTrial - 1]);
+  }
+  enterPhase(phase, now + remaining);
+}
+
+// Modes without position leave the grid dark. Letters are scheduled
+// separately on the audio clock (see GAME LOOP).
+function showStimulus(stimulus) {
+  hideStimulus();
+  if ('position' in stimulus.values) {
+    renderStimulusCell(document.querySelector(`#game-screen .cell[data-pos="${stimulus.values.position}"]`), stimulus);
+  }
+}
+
+function hideStimulus() {
+  document.querySelectorAll('#game-screen .cell').forEach(clearCell);
+}
+
+// Lights up a cell and lets visual modalities (color, shape, ...) draw on it
+function renderStimulusCell(cell, stimulus) {
+  cell.classList.add('active');
+  for (const [modality, value] of Object.entries(stimulus.values)) {
+    MODALITIES[modality].show?.(cell, value, stimulus.display[modality]);
+  }
+}
+
+function clearCell(cell) {
+  cell.classList.remove('active');
+  cell.style.background = '';
+  cell.innerHTML = '';
+}
+
+// The one entry point for all input devices (see CONTROLS)
+function triggerControl(slot) {
+  handleInput(slot);
+}
+
+// On-screen buttons, one per gesture of the mode
+function renderControlButtons(mode) {
+  const container = document.getElementById('control-buttons');
+  container.innerHTML = settings.touchButtons
+    ? Object.entries(mode.gestures).map(([slot, action]) => `
+        <button class="control-btn" ontouchend="triggerControl('${slot}'); event.stopPropagation();"
+                onclick="triggerControl('${slot}')">${gestureActionLabel(action, mode)}</button>
+      `).join('')
+    : '';
+}
+
+function handleInput(direction) {
+  if (gamePhase !== 'stimulus' && gamePhase !== 'response') return;
+  if (currentTrial < nLevel + 1) return;
+
+  // Map swipe to response using the mode's gestures (see GAME_MODES)
+  const action = GAME_MODES[gameSetup.mode].gestures[direction];
+  if (!action) return;
+
+  playClick();
+
+  // Log every input, including corrections, for the session replay
+  const response = responses[currentTrial - 1];
+  const t = Math.round(performance.now() - response.onset);
+  response.inputs.push({ direction, t });
+
+  // RT is the input that registered the response; a 'clear' correction resets it.
+  // In toggle mode, repeating a gesture whose modalities are all marked unmarks them.
+  if (action === 'clear') {
+    response.responded = {};
+    response.rt = {};
+  } else if (gameSetup.inputMode === 'toggle' && action.every(modality => response.responded[modality])) {
+    for (const modality of action) {
+      delete response.responded[modality];
+      delete response.rt[modality];
+    }
+  } else {
+    for (const modality of action) {
+      if (!response.responded[modality]) {
+        response.responded[modality] = true;
+        response.rt[modality] = t;
+      }
+    }
+  }
+
+  renderResponseState();
+  showCrossShift(direction);
+}
+
+// Chips under the grid for the mode's modalities, lit while marked this trial
+function renderResponseChips(mode) {
+  document.getElementById('response-state').innerHTML = mode.modalities.map(modality => `
+    <span class="response-chip" data-modality="${modality}">${MODALITIES[modality].label}</span>
+  `).join('');
+}
+
+function renderResponseState() {
+  const response = currentTrial > 0 ? responses[currentTrial - 1] : null;
+  document.querySelectorAll('#response-state .response-chip').forEach(chip => {
+    chip.classList.toggle('on', response?.responded[chip.dataset.modality] === true);
+  });
+}
+
+// Evaluate and show correctness feedback for a completed trial
+// Flashes each modality's chip: hit, missed match or false alarm. Correct
+// rejections show nothing.
+function evaluateTrialFeedback(trialIndex) {
+  if (!gameSetup.feedback || trialIndex < nLevel) return;
+
+  const stimulus = sequence[trialIndex];
+  const response = responses[trialIndex];
+
+  document.querySelectorAll('#response-state .response-chip').forEach(chip => {
+    const modality = chip.dataset.modality;
+    if (modality === 'audio' && audioExcluded(responses, trialIndex, nLevel)) return;
+    const outcome = trialOutcome(stimulus.matches[modality], response.responded[modality] === true);
+    if (outcome === 'correctRejection') return;
+
+    chip.classList.add(`feedback-${outcome}`);
+    setTimeout(() => chip.classList.remove(`feedback-${outcome}`), FEEDBACK_MS);
+  });
 }
 
 function showCrossShift(direction) {
@@ -448,25 +1919,12 @@ function showCrossShift(direction) {
   }, 150);
 }
 
-// Add visibility change handling to pause/resume cleanly
+// Backgrounding pauses the game; the pause modal is waiting on return
 document.addEventListener('visibilitychange', () => {
   if (document.hidden) {
-    // Pause the game loop when backgrounded
-    if (gameActive && gameTimeout) {
-      clearTimeout(gameTimeout);
-      gameTimeout = null;
-      hideStimulus();
-      stimulusShown = false;
-    }
-  } else {
-    // Resume audio context when foregrounded
-    if (audioCtx?.state === 'suspended') {
-      audioCtx.resume();
-    }
-    // Show pause modal if we were mid-game
-    if (gameActive && !gameTimeout) {
-      showPauseModal();
-    }
+    pauseGame();
+  } else if (audioCtx?.state === 'suspended') {
+    audioCtx.resume();
   }
 });
 
@@ -474,42 +1932,27 @@ function showPauseModal() {
   document.getElementById('pause-trial').textContent = currentTrial;
   document.getElementById('pause-total').textContent = numTrials;
   document.getElementById('pause-modal').classList.add('active');
-  document.getElementById('pause-status').style.display = 'block';
-  document.getElementById('continue-status').style.display = 'none';
 }
 
 function hidePauseModal() {
   document.getElementById('pause-modal').classList.remove('active');
 }
 
-function resumeGame() {
-  document.getElementById('continue-status').innerHTML = 'Resuming...';
-  document.getElementById('pause-status').style.display = 'none';
-  document.getElementById('continue-status').style.display = 'block';
-  gameTimeout = setTimeout(function() {
-    hidePauseModal();
-      //
-    // small delay to transition...
-    gameTimeout = setTimeout(nextTrial, 300);
-  }, 600);
-}
-
+// Starts over with a fresh sequence and the same settings
 function restartGame() {
-  document.getElementById('continue-status').innerHTML = 'Restarting...';
-  document.getElementById('pause-status').style.display = 'none';
-  document.getElementById('continue-status').style.display = 'block';
-
-  gameTimeout = setTimeout(function() {
-    hidePauseModal();
-    // Reset and start fresh with same settings
-    currentTrial = 0;
-    sequence = buildGameSequence(nLevel, numTrials);
-    responses = sequence.map(() => ({ position: null, audio: null }));
-    document.getElementById('trial-num').textContent = '0';
+  if (gamePhase !== 'paused') return;
 
-    // small delay to transition...
-    gameTimeout = setTimeout(nextTrial, 300);
-  }, 600);
+  hidePauseModal();
+  pausedState = null;
+  currentTrial = 0;
+  gameSetup = { ...gameSetup, seed: newSeed() };
+  sequence = buildGameSequence(nLevel, numTrials, gameSetup, gameSetup.seed);
+  responses = createResponses(sequence);
+  document.getElementById('trial-num').textContent = '0';
+  document.getElementById('gesture-hint').style.opacity = '0';
+  renderResponseState();
+  enterPhase('leadIn', performance.now() + LEAD_IN_MS);
+  scheduleTrialAudio(0, phaseEndsAt);
 }
 
 // ===========================================
@@ -518,39 +1961,55 @@ function restartGame() {
 // Uses Brainworkshop's method: TP / (TP + FP + FN)
 // This ignores true negatives, measuring only "active" performance.
 // A player who never responds scores 0%, not 70%+ from TN inflation.
+//
+// Reaction times are summarized over hits only, so guesses on
+// non-match trials don't drag the numbers around.
+//
+// Trials whose letter didn't play are left out of audio scoring, as are
+// the trials n later that would have been compared with it. A modality
+// left with no scorable trials gets no score at all (rather than 0%), so
+// it doesn't count toward overall d′ or level changes; audioExcluded
+// says how many trials were dropped.
+//
+// Signal detection scores are computed alongside: hit rate, false-alarm
+// rate, d′ and criterion c per modality. Which model decides level
+// changes is a setting (see SCORING_MODELS).
 
 function calculateScores(sequence, responses, nLevel) {
-  let position = { tp: 0, fp: 0, fn: 0 };
-  let audio = { tp: 0, fp: 0, fn: 0 };
+  const modalities = Object.keys(sequence[0].values);
+  const counts = {};
+  const rts = {};
+  let audioSkipped = 0;
+  modalities.forEach(modality => {
+    counts[modality] = { tp: 0, fp: 0, fn: 0, tn: 0 };
+    rts[modality] = [];
+  });
 
   for (let i = nLevel; i < sequence.length; i++) {
-    // Use pre-computed match flags from sequence generation
-    const wasPositionMatch = sequence[i].isPositionMatch;
-    const wasAudioMatch = sequence[i].isAudioMatch;
-
     const response = responses[i];
-    const respondedPosition = response.position === true;
-    const respondedAudio = response.audio === true;
 
-    // Position scoring
-    if (wasPositionMatch && respondedPosition) {
-      position.tp++;
-    } else if (!wasPositionMatch && respondedPosition) {
-      position.fp++;
-    } else if (wasPositionMatch && !respondedPosition) {
-      position.fn++;
-    }
-    // True negatives (wasPositionMatch=false, respondedPosition=false) are ignored
+    for (const modality of modalities) {
+      if (modality === 'audio' && audioExcluded(responses, i, nLevel)) {
+        audioSkipped++;
+        continue;
+      }
 
-    // Audio scoring
-    if (wasAudioMatch && respondedAudio) {
-      audio.tp++;
-    } else if (!wasAudioMatch && respondedAudio) {
-      audio.fp++;
-    } else if (wasAudioMatch && !respondedAudio) {
-      audio.fn++;
+      // Use pre-computed match flags from sequence generation
+      const wasMatch = sequence[i].matches[modality];
+      const responded = response.responded[modality] === true;
+      const stats = counts[modality];
+
+      if (wasMatch && responded) {
+        stats.tp++;
+        rts[modality].push(response.rt[modality]);
+      } else if (!wasMatch && responded) {
+        stats.fp++;
+      } else if (wasMatch && !responded) {
+        stats.fn++;
+      } else {
+        stats.tn++;  // Only used for signal detection
+      }
     }
-    // True negatives ignored
   }
 
   // Brainworkshop formula: TP / (TP + FP + FN)
@@ -559,56 +2018,453 @@ function calculateScores(sequence, responses, nLevel) {
     return denom === 0 ? 0 : Math.round((stats.tp / denom) * 100);
   };
 
-  const positionPct = calcPct(position);
-  const audioPct = calcPct(audio);
+  const scored = modalities.filter(modality => {
+    const { tp, fp, fn, tn } = counts[modality];
+    return tp + fp + fn + tn > 0;
+  });
+
+  const perModality = {};
+  for (const modality of scored) {
+    perModality[modality] = {
+      pct: calcPct(counts[modality]),
+      sdt: calculateDetection(counts[modality]),
+      rt: summarizeRts(rts[modality])
+    };
+  }
 
   // Overall: combine all TP, FP, FN
-  const overallDenom = position.tp + position.fp + position.fn + audio.tp + audio.fp + audio.fn;
-  const overallPct = overallDenom === 0 ? 0 : Math.round(((position.tp + audio.tp) / overallDenom) * 100);
+  const total = Object.values(counts).reduce((sum, stats) => ({
+    tp: sum.tp + stats.tp,
+    fp: sum.fp + stats.fp,
+    fn: sum.fn + stats.fn
+  }), { tp: 0, fp: 0, fn: 0 });
+  const overallPct = calcPct(total);
+
+  const dPrimes = scored.map(modality => perModality[modality].sdt.dPrime);
+  const overallDPrime = dPrimes.length === 0 ? 0
+    : Math.round((dPrimes.reduce((a, b) => a + b, 0) / dPrimes.length) * 100) / 100;
+
+  const scores = { overallPct, overallDPrime, modalities: perModality };
+  if (audioSkipped > 0) {
+    scores.audioExcluded = audioSkipped;
+  }
+  return scores;
+}
+
+// Whether a trial's audio response can't be judged: its letter or the
+// n-back one didn't play
+function audioExcluded(responses, i, n) {
+  return Boolean(responses[i].audioFailed || responses[i - n]?.audioFailed);
+}
+
+// Hit rate, false-alarm rate, d′ = z(H) - z(F) and c = -(z(H) + z(F)) / 2.
+// Rates of 0 or 1 would give infinite z-scores, so they are replaced with
+// 1/(2N) and 1 - 1/(2N) (Macmillan & Kaplan, 1985).
+function calculateDetection(counts) {
+  const signals = counts.tp + counts.fn;
+  const noise = counts.fp + counts.tn;
+
+  const correctedRate = (count, total) => {
+    if (total === 0) return 0.5;
+    const rate = count / total;
+    if (rate === 0) return 1 / (2 * total);
+    if (rate === 1) return 1 - 1 / (2 * total);
+    return rate;
+  };
+
+  const zHit = normInv(correctedRate(counts.tp, signals));
+  const zFalseAlarm = normInv(correctedRate(counts.fp, noise));
+  const round2 = x => Math.round(x * 100) / 100;
+
+  return {
+    ...counts,
+    hitRate: signals === 0 ? 0 : round2(counts.tp / signals),
+    faRate: noise === 0 ? 0 : round2(counts.fp / noise),
+    dPrime: round2(zHit - zFalseAlarm),
+    criterion: round2(-(zHit + zFalseAlarm) / 2)
+  };
+}
+
+// Inverse of the standard normal CDF (Acklam's rational approximation,
+// relative error below 1.2e-9)
+function normInv(p) {
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+    1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+    6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+    -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+    3.754408661907416e+00];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    return -normInv(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Scoring models that can drive level changes
+const SCORING_MODELS = {
+  brainworkshop: {
+    label: 'Brainworkshop %',
+    value: scores => scores.overallPct,
+    modalityValue: (scores, modality) => scores.modalities[modality].pct,
+    format: value => `${value}%`,
+    step: 1,
+    min: 0,
+    max: 100,
+    up: LEVEL_UP_THRESHOLD,
+    down: LEVEL_DOWN_THRESHOLD,
+    modalityMin: MODALITY_MIN_THRESHOLD
+  },
+  signalDetection: {
+    label: 'd′ (signal detection)',
+    value: scores => scores.overallDPrime,
+    modalityValue: (scores, modality) => scores.modalities[modality].sdt.dPrime,
+    format: value => `d′ ${value.toFixed(2)}`,
+    step: 0.1,
+    min: 0,
+    max: 4,
+    up: LEVEL_UP_DPRIME,
+    down: LEVEL_DOWN_DPRIME,
+    modalityMin: MODALITY_MIN_DPRIME
+  }
+};
+
+function formatDetection(sdt) {
+  return `H ${Math.round(sdt.hitRate * 100)}% &middot; FA ${Math.round(sdt.faRate * 100)}% &middot; ` +
+    `d′ ${sdt.dPrime.toFixed(2)} &middot; c ${sdt.criterion.toFixed(2)}`;
+}
+
+// { mean, median, count } in ms, or null when there's nothing to summarize
+function summarizeRts(rts) {
+  const values = rts.filter(rt => typeof rt === 'number').sort((a, b) => a - b);
+  if (values.length === 0) return null;
+
+  const mid = Math.floor(values.length / 2);
+  const median = values.length % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+  const mean = values.reduce((sum, rt) => sum + rt, 0) / values.length;
 
-  return { positionPct, audioPct, overallPct };
+  return { mean: Math.round(mean), median: Math.round(median), count: values.length };
+}
+
+function formatRt(summary) {
+  return summary ? `${summary.mean} / ${summary.median} ms` : '&mdash;';
+}
+
+// ===========================================
+// PROGRESSION
+// ===========================================
+// Each policy gets the round's score (in the active scoring model), the
+// thresholds and the current demotion strike count, and returns
+// { direction: 'up' | 'down' | null, strikes, speed?: 'faster' | 'slower' }.
+
+const PROGRESSION_POLICIES = {
+  // Today's default: one round above/below a threshold moves the level
+  fixed: {
+    label: 'Fixed',
+    decide: ({ score, thresholds }) => ({
+      direction: score >= thresholds.up ? 'up' : score < thresholds.down ? 'down' : null,
+      strikes: 0
+    })
+  },
+
+  // Brainworkshop style: demote only after several rounds in a row below threshold
+  strikes: {
+    label: 'Strikes',
+    decide: ({ score, thresholds, strikes, strikeLimit }) => {
+      if (score >= thresholds.up) return { direction: 'up', strikes: 0 };
+      if (score >= thresholds.down) return { direction: null, strikes: 0 };
+      if (strikes + 1 >= strikeLimit) return { direction: 'down', strikes: 0 };
+      return { direction: null, strikes: strikes + 1 };
+    }
+  },
+
+  // Level up also needs every modality above its own minimum
+  perModality: {
+    label: 'Per modality',
+    decide: ({ score, modalityScores, thresholds }) => {
+      const allAboveMin = modalityScores.every(value => value >= thresholds.modalityMin);
+      if (score >= thresholds.up && allAboveMin) return { direction: 'up', strikes: 0 };
+      if (score < thresholds.down) return { direction: 'down', strikes: 0 };
+      return { direction: null, strikes: 0 };
+    }
+  },
+
+  // Keeps N and shortens the trial interval instead, lengthening it
+  // again below threshold. The new interval is saved as the setting.
+  speed: {
+    label: 'Speed',
+    decide: ({ score, thresholds }) => ({
+      direction: null,
+      strikes: 0,
+      speed: score >= thresholds.up ? 'faster' : score < thresholds.down ? 'slower' : null
+    })
+  },
+
+  // Never changes the level automatically
+  manual: {
+    label: 'Manual',
+    decide: () => ({ direction: null, strikes: 0 })
+  }
+};
+
+// Defaults of the active scoring model with the user's overrides on top
+function levelThresholds() {
+  const model = SCORING_MODELS[settings.scoringModel];
+  return {
+    up: model.up,
+    down: model.down,
+    modalityMin: model.modalityMin,
+    ...settings.thresholds[settings.scoringModel]
+  };
+}
+
+// Works out the level change for a finished round. Strikes only count
+// while the level stays the same, so they're stored with the level.
+function decideLevelChange(scores) {
+  const model = SCORING_MODELS[settings.scoringModel];
+  const progression = getStats().progression;
+  const policy = settings.progressionPolicy;
+  const strikes = progression?.nLevel === nLevel ? progression.strikes : 0;
+
+  // Nothing could be scored (e.g. audio-only with no sound): stay put
+  if (Object.keys(scores.modalities).length === 0) {
+    return { policy, from: nLevel, to: nLevel, strikes, trialMs: { from: gameSetup.trialMs, to: gameSetup.trialMs } };
+  }
+
+  const result = PROGRESSION_POLICIES[policy].decide({
+    score: model.value(scores),
+    modalityScores: Object.keys(scores.modalities).map(modality => model.modalityValue(scores, modality)),
+    thresholds: levelThresholds(),
+    strikes,
+    strikeLimit: settings.demotionStrikes
+  });
+
+  let to = nLevel;
+  if (result.direction === 'up') to = Math.min(9, nLevel + 1);
+  if (result.direction === 'down') to = Math.max(1, nLevel - 1);
+
+  let trialMs = gameSetup.trialMs;
+  if (result.speed === 'faster') {
+    trialMs = Math.max(gameSetup.stimulusMs + MIN_RESPONSE_GAP_MS, trialMs - TRIAL_MS_STEP);
+  } else if (result.speed === 'slower') {
+    trialMs = Math.min(MAX_TRIAL_MS, trialMs + TRIAL_MS_STEP);
+  }
+
+  return {
+    policy,
+    from: nLevel,
+    to,
+    strikes: result.strikes,
+    trialMs: { from: gameSetup.trialMs, to: trialMs }
+  };
 }
 
 // ===========================================
 // RESULTS UI
 // ===========================================
 
-function updateResultsUI(scores) {
-  document.getElementById('last-position').textContent = `${scores.positionPct}%`;
-  document.getElementById('last-audio').textContent = `${scores.audioPct}%`;
-  document.getElementById('last-overall').textContent = `${scores.overallPct}%`;
+function updateResultsUI(scores, levelChange) {
+  const modalities = Object.entries(scores.modalities);
+  const scoreItem = (label, value) => `
+    <div class="score-item">
+      <span class="score-label">${label}</span>
+      <span class="score-value">${value}</span>
+    </div>
+  `;
+
+  document.getElementById('last-scores').innerHTML =
+    modalities.map(([modality, result]) => scoreItem(MODALITIES[modality].label, `${result.pct}%`)).join('') +
+    scoreItem('Overall', `${scores.overallPct}%`);
+  document.getElementById('last-rt').innerHTML = modalities
+    .map(([modality, result]) => `<span>${MODALITIES[modality].label} ${formatRt(result.rt)}</span>`).join('');
+  document.getElementById('last-sdt').innerHTML = modalities
+    .map(([modality, result]) => `<span>${MODALITIES[modality].label} ${formatDetection(result.sdt)}</span>`).join('') +
+    (scores.audioExcluded
+      ? `<span>${scores.audioExcluded} audio trials not scored (sound didn't play)</span>`
+      : '');
 
   document.getElementById('last-results').classList.add('show');
 
   const levelUpMessage = document.getElementById('level-up-message');
+  nLevel = levelChange.to;
+  document.getElementById('n-value').textContent = nLevel;
 
-  if (scores.overallPct >= LEVEL_UP_THRESHOLD && nLevel < 9) {
-    nLevel++;
-    document.getElementById('n-value').textContent = nLevel;
+  const { from: fromMs, to: toMs } = levelChange.trialMs;
+  if (toMs !== fromMs) {
+    settings.trialMs = toMs;
+    saveSettings();
+  }
+
+  if (levelChange.to > levelChange.from) {
     levelUpMessage.textContent = `Level up! Now playing ${nLevel}-Back`;
     levelUpMessage.className = 'level-up-message level-up';
     levelUpMessage.style.display = 'block';
-  } else if (scores.overallPct < LEVEL_DOWN_THRESHOLD && nLevel > 1) {
-    nLevel--;
-    document.getElementById('n-value').textContent = nLevel;
+  } else if (levelChange.to < levelChange.from) {
     levelUpMessage.textContent = `Dropped to ${nLevel}-Back`;
     levelUpMessage.className = 'level-up-message level-down';
     levelUpMessage.style.display = 'block';
+  } else if (toMs < fromMs) {
+    levelUpMessage.textContent = `Faster! Now ${formatSeconds(toMs)} per trial`;
+    levelUpMessage.className = 'level-up-message level-up';
+    levelUpMessage.style.display = 'block';
+  } else if (toMs > fromMs) {
+    levelUpMessage.textContent = `Slowed to ${formatSeconds(toMs)} per trial`;
+    levelUpMessage.className = 'level-up-message level-down';
+    levelUpMessage.style.display = 'block';
+  } else if (levelChange.strikes > 0) {
+    levelUpMessage.textContent = `Below threshold (${levelChange.strikes}/${settings.demotionStrikes} before dropping)`;
+    levelUpMessage.className = 'level-up-message level-down';
+    levelUpMessage.style.display = 'block';
   } else {
     levelUpMessage.style.display = 'none';
   }
 }
 
 function endGame() {
-  gameActive = false;
+  enterPhase('finished');
+  trialAudio = null;
 
   const scores = calculateScores(sequence, responses, nLevel);
-  recordSession(nLevel, scores, numTrials);
-  updateResultsUI(scores);
+  const levelChange = decideLevelChange(scores);
+  // Rounds played without some letters can't be rebuilt from a code
+  showChallengeCode(gameSetup.missingLetters ? null : encodeChallenge(gameSetup.seed, nLevel, numTrials, gameSetup));
+  recordSession(nLevel, scores, numTrials, gameSetup, buildTrialLog(sequence, responses), levelChange);
+  updateResultsUI(scores, levelChange);
+  if (training) recordTrainingRound(levelChange.from, scores);
+  renderStreakStatus();
+  renderUpdateBanner();
 
   showScreen('start-screen');
 }
 
+// ===========================================
+// TRAINING SESSIONS
+// ===========================================
+// A training session chains settings.sessionRounds rounds. Each round is
+// recorded as usual (with its block), N carries over through the
+// progression policy, and a summary follows the last round.
+function startButtonLabel() {
+  return training ? `Next Round (${training.results.length + 1}/${training.rounds})` : 'Start';
+}
+
+function recordTrainingRound(roundN, scores) {
+  training.results.push({
+    nLevel: roundN,
+    overallPct: scores.overallPct,
+    modalities: Object.fromEntries(Object.entries(scores.modalities).map(([m, result]) => [m, result.pct]))
+  });
+
+  if (training.results.length >= training.rounds) {
+    endTraining();
+  } else {
+    renderTrainingStatus();
+  }
+}
+
+// Ends the session early or after its last round, showing the summary
+function endTraining() {
+  const { results, rounds } = training;
+  training = null;
+  renderTrainingStatus();
+  if (results.length === 0) return;
+
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const modalities = Object.keys(MODALITIES)
+    .filter(modality => results.some(result => result.modalities[modality] !== undefined));
+  const modalityText = modalities.map(modality => {
+    const pcts = results.map(result => result.modalities[modality]).filter(pct => pct !== undefined);
+    return `${MODALITIES[modality].label} ${Math.round(mean(pcts))}%`;
+  }).join(' &middot; ');
+
+  const summary = document.getElementById('block-summary');
+  summary.innerHTML = `
+    <h3>Session Complete</h3>
+    <div class="summary-lines">
+      <span>${results.length}${results.length < rounds ? ` of ${rounds}` : ''} rounds &middot;
+        ${results[0].nLevel}-Back &rarr; ${nLevel}-Back &middot; mean N ${mean(results.map(r => r.nLevel)).toFixed(2)}</span>
+      <span>Average ${Math.round(mean(results.map(r => r.overallPct)))}% &middot;
+        best ${Math.max(...results.map(r => r.overallPct))}%</span>
+      <span>${modalityText}</span>
+    </div>
+  `;
+  summary.classList.add('show');
+}
+
+function renderTrainingStatus() {
+  document.getElementById('training-status').innerHTML = training
+    ? `Training session: ${training.results.length} of ${training.rounds} rounds done
+       <button class="link-btn" onclick="endTraining()">End session</button>`
+    : '';
+  if (audioLoaded) {
+    document.getElementById('start-btn').textContent = startButtonLabel();
+  }
+}
+
+function renderStreakStatus() {
+  const stats = getStats();
+  const streak = activeStreak(stats);
+  const today = roundsPlayedToday(stats);
+  const parts = [];
+  if (streak > 0) parts.push(`&#128293; ${streak}-day streak`);
+  if (settings.dailyGoal > 0) {
+    parts.push(today >= settings.dailyGoal
+      ? `Goal done (${today}/${settings.dailyGoal})`
+      : `Today ${today}/${settings.dailyGoal} rounds`);
+  }
+  document.getElementById('streak-status').innerHTML = parts.join(' &middot; ');
+}
+
+// ===========================================
+// APP UPDATES
+// ===========================================
+// A new service worker installs in the background and waits. The banner
+// offers to switch over only between games, since the reload drops game
+// state.
+let updateWorker = null;      // Installed worker waiting to take over, or null
+let updateRequested = false;  // Set once the user asked for the reload
+
+function watchForUpdate(reg) {
+  // The first install has no controller to replace, so nothing to offer
+  if (reg.waiting && navigator.serviceWorker.controller) offerUpdate(reg, reg.waiting);
+  reg.addEventListener('updatefound', () => {
+    const worker = reg.installing;
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        offerUpdate(reg, worker);
+      }
+    });
+  });
+}
+
+function offerUpdate(reg, worker) {
+  updateWorker = worker;
+  reg.active?.postMessage({ type: 'GET_VERSION' }); // Show the waiting version too
+  renderUpdateBanner();
+}
+
+function renderUpdateBanner() {
+  document.getElementById('update-banner').classList.toggle('show',
+    Boolean(updateWorker) && !gameActive);
+}
+
+function applyUpdate() {
+  if (!updateWorker || gameActive) return;
+  updateRequested = true;
+  updateWorker.postMessage({ type: 'SKIP_WAITING' }); // Reloads on controllerchange
+}
+
 // ===========================================
 // TOUCH HANDLING
 // ===========================================
@@ -627,18 +2483,32 @@ gameScreen.addEventListener('touchend', (e) => {
   const dy = e.changedTouches[0].clientY - touchStartY;
 
   if (Math.abs(dx) < SWIPE_THRESHOLD && Math.abs(dy) < SWIPE_THRESHOLD) {
-    return; // Not a swipe
+    triggerControl('tap'); // Not a swipe; only some modes use taps
+    e.preventDefault();
+    return;
   }
 
   if (Math.abs(dx) > Math.abs(dy)) {
-    handleInput(dx > 0 ? 'right' : 'left');
+    triggerControl(swappedSwipe(dx > 0 ? 'right' : 'left'));
   } else {
-    handleInput(dy > 0 ? 'down' : 'up');
+    triggerControl(swappedSwipe(dy > 0 ? 'down' : 'up'));
   }
 
   e.preventDefault();
 }, { passive: false });
 
+// Swipe direction -> slot with settings.swipeSwap applied (and back, it's symmetric)
+function swappedSwipe(direction) {
+  const swap = settings.swipeSwap;
+  if ((swap === 'horizontal' || swap === 'both') && (direction === 'left' || direction === 'right')) {
+    return direction === 'left' ? 'right' : 'left';
+  }
+  if ((swap === 'vertical' || swap === 'both') && (direction === 'up' || direction === 'down')) {
+    return direction === 'up' ? 'down' : 'up';
+  }
+  return direction;
+}
+
 // Prevent default touch behaviors on game screen only
 gameScreen.addEventListener('touchmove', (e) => {
   e.preventDefault();
@@ -647,62 +2517,231 @@ gameScreen.addEventListener('touchmove', (e) => {
 // ===========================================
 // KEYBOARD CONTROLS (Desktop)
 // ===========================================
-// Arrow keys map to same directions as swipes:
-// Left = position match, Right = audio match, Up = both, Down = neither
+// Keys trigger the slots they're bound to in settings.keyBindings
+// (see GAME_MODES for what each does in the current mode). PAUSE_KEYS
+// pause and resume unless bound to a slot.
+const PAUSE_KEYS = ['p', ' '];
+
+document.addEventListener('keydown', (e) => {
+  if (rebinding?.device === 'key') {
+    if (e.key === 'Escape') {
+      cancelRebind();
+    } else {
+      finishRebind(normalizeKey(e.key));
+    }
+    e.preventDefault();
+    return;
+  }
+
+  // Arrow keys step through trials while replaying a session
+  if (replaySession) {
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      stepReplay(e.key === 'ArrowLeft' ? -1 : 1);
+      e.preventDefault();
+    } else if (e.key === 'Escape') {
+      closeReplay();
+      e.preventDefault();
+    }
+    return;
+  }
+
+  if (!gameActive) return;
+
+  if (e.key === 'Escape') {
+    exitGame();
+    e.preventDefault();
+    return;
+  }
+
+  const key = normalizeKey(e.key);
+  const slot = CONTROL_SLOTS.find(slot => settings.keyBindings[slot]?.includes(key));
+  if (slot && !e.repeat) {
+    triggerControl(slot);
+    e.preventDefault();
+  } else if (!slot && PAUSE_KEYS.includes(key) && !e.repeat) {
+    togglePause();
+    e.preventDefault();
+  }
+});
+
+// ===========================================
+// GAMEPAD CONTROLS
+// ===========================================
+// The Gamepad API has no button events, so connected pads are polled each
+// frame and a button counts when it goes from released to pressed.
+let gamepadPolling = false;
+const gamepadPressed = new Map();  // "pad:button" -> pressed at the last poll
+
+function pollGamepads() {
+  const gamepads = [...(navigator.getGamepads?.() || [])].filter(Boolean);
+  if (gamepads.length === 0) {
+    gamepadPolling = false;
+    return;
+  }
 
-document.addEventListener('keydown', (e) => {
+  for (const gamepad of gamepads) {
+    gamepad.buttons.forEach((button, index) => {
+      const id = `${gamepad.index}:${index}`;
+      if (button.pressed && !gamepadPressed.get(id)) {
+        handleGamepadButton(index);
+      }
+      gamepadPressed.set(id, button.pressed);
+    });
+  }
+  requestAnimationFrame(pollGamepads);
+}
+
+function handleGamepadButton(index) {
+  if (rebinding?.device === 'gamepad') {
+    finishRebind(index);
+    return;
+  }
   if (!gameActive) return;
 
-  switch(e.key) {
-    case 'ArrowLeft':
-      handleInput('left');
-      e.preventDefault();
-      break;
-    case 'ArrowRight':
-      handleInput('right');
-      e.preventDefault();
-      break;
-    case 'ArrowUp':
-      handleInput('up');
-      e.preventDefault();
-      break;
-    case 'ArrowDown':
-      handleInput('down');
-      e.preventDefault();
-      break;
-    case 'Escape':
-      exitGame();
-      e.preventDefault();
-      break;
+  const slot = CONTROL_SLOTS.find(slot => settings.gamepadBindings[slot]?.includes(index));
+  if (slot) triggerControl(slot);
+}
+
+window.addEventListener('gamepadconnected', () => {
+  if (!gamepadPolling) {
+    gamepadPolling = true;
+    requestAnimationFrame(pollGamepads);
+  }
+  if (document.getElementById('settings-modal').classList.contains('active')) {
+    renderSettings();
   }
 });
 
 // ===========================================
 // LOCAL STORAGE STATS
 // ===========================================
+// Totals and per-level stats live in one localStorage key; the sessions
+// themselves are in IndexedDB (see SESSION STORAGE).
 const STATS_KEY = 'swipeback_stats';
-const MAX_HISTORY = 30;
+
+// Bump STATS_VERSION and append a migration whenever the stored shape
+// changes. STATS_MIGRATIONS[v] upgrades a version v object to v + 1;
+// stats saved before versioning count as version 0.
+const STATS_VERSION = 3;
+const STATS_MIGRATIONS = [
+  // 0 -> 1: per-level stats used to be flat ({ "2": {...} }); everything
+  // played before setups were selectable used the default Brainworkshop set.
+  stats => {
+    const levelValues = Object.values(stats.levels);
+    if (levelValues.length > 0 && typeof levelValues[0].attempts === 'number') {
+      stats.levels = { [DEFAULT_DISTRIBUTION]: stats.levels };
+    }
+  },
+  // 1 -> 2: sessions with flat position/audio fields get per-modality ones
+  stats => stats.history?.forEach(migrateDualSession),
+  // 2 -> 3: daily goal streaks, counted from now on
+  stats => {
+    stats.currentStreak = 0;
+    stats.longestStreak = 0;
+    stats.streakDay = null;
+    stats.roundsToday = { day: null, count: 0 };
+  }
+];
+
+function migrateStats(stats) {
+  for (let version = stats.version || 0; version < STATS_VERSION; version++) {
+    STATS_MIGRATIONS[version](stats);
+  }
+  stats.version = Math.max(stats.version || 0, STATS_VERSION);
+  return stats;
+}
 
 function getStats() {
   try {
     const stored = localStorage.getItem(STATS_KEY);
     if (stored) {
-      return JSON.parse(stored);
+      return migrateStats(JSON.parse(stored));
     }
   } catch (e) {
     console.warn('Failed to load stats:', e);
   }
 
   return {
+    version: STATS_VERSION,
     firstPlayed: null,
     lastPlayed: null,
+    currentStreak: 0,   // Days in a row the daily goal was met, up to streakDay
+    longestStreak: 0,
+    streakDay: null,    // localDateKey() of the last day the goal was met
+    roundsToday: { day: null, count: 0 },
     totalSessions: 0,
     totalTrials: 0,
-    levels: {},  // { "2": { attempts: 5, totalScore: 360, bestScore: 88 }, ... }
-    history: []  // [{ date, nLevel, positionPct, audioPct, overallPct }, ...]
+    progression: null,  // { nLevel, strikes }
+    levels: {}  // { [setupKey]: { "2": { attempts: 5, totalScore: 360, bestScore: 88 } }, ... }
   };
 }
 
+// Sessions from before modalities were generalized kept flat
+// position/audio fields; rewrite them into the per-modality shape.
+function migrateDualSession(session) {
+  if (session.modalities) return;
+
+  session.modalities = {};
+  for (const modality of ['position', 'audio']) {
+    session.modalities[modality] = {
+      pct: session[`${modality}Pct`],
+      sdt: session[`${modality}Sdt`],
+      rt: session[`${modality}Rt`]
+    };
+    delete session[`${modality}Pct`];
+    delete session[`${modality}Sdt`];
+    delete session[`${modality}Rt`];
+  }
+
+  session.trialLog?.forEach(trial => {
+    if (trial.values) return;
+    trial.values = { position: trial.position, audio: trial.letter };
+    trial.matches = { position: trial.isPositionMatch, audio: trial.isAudioMatch };
+    trial.display = {};
+    trial.rt = trial.rt || { position: null, audio: null };
+    delete trial.position;
+    delete trial.letter;
+    delete trial.isPositionMatch;
+    delete trial.isAudioMatch;
+  });
+}
+
+// YYYY-MM-DD in local time, for grouping sessions by day
+function localDateKey(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function daysAgoKey(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return localDateKey(date);
+}
+
+// Counts a round towards today's goal; meeting it extends the streak
+function updateStreak(stats) {
+  const today = daysAgoKey(0);
+  if (stats.roundsToday.day !== today) {
+    stats.roundsToday = { day: today, count: 0 };
+  }
+  stats.roundsToday.count++;
+
+  if (stats.roundsToday.count >= Math.max(1, settings.dailyGoal) && stats.streakDay !== today) {
+    stats.currentStreak = stats.streakDay === daysAgoKey(1) ? stats.currentStreak + 1 : 1;
+    stats.longestStreak = Math.max(stats.longestStreak, stats.currentStreak);
+    stats.streakDay = today;
+  }
+}
+
+// The streak still counts until the end of the day after it was last extended
+function activeStreak(stats) {
+  return stats.streakDay === daysAgoKey(0) || stats.streakDay === daysAgoKey(1) ? stats.currentStreak : 0;
+}
+
+function roundsPlayedToday(stats) {
+  return stats.roundsToday.day === daysAgoKey(0) ? stats.roundsToday.count : 0;
+}
+
 function saveStats(stats) {
   try {
     localStorage.setItem(STATS_KEY, JSON.stringify(stats));
@@ -711,7 +2750,243 @@ function saveStats(stats) {
   }
 }
 
-function recordSession(nLevel, scores, trials) {
+// ===========================================
+// SESSION STORAGE
+// ===========================================
+// Every session is kept in IndexedDB, keyed by its ISO date:
+// { date, nLevel, mode, letterSet, confusionLures, seed, overallPct, overallDPrime,
+//   modalities: { position: { pct, sdt, rt }, ... }, scoringModel,
+//   stimulusMs, trialMs, levelChange: { policy, from, to, strikes, trialMs }, trialLog }
+// Alongside, SUMMARY_STORE keeps each one without its trialLog (see
+// summarizeSession) for the stats modal, indexed by level and mode so
+// filtered pages are key ranges; a trialLog is only read for a replay.
+// Older versions kept the last 30 in stats.history; those move over on first
+// run. Where IndexedDB isn't available, stats.history is still used.
+const SESSION_DB_NAME = 'swipeback';
+const SESSION_DB_VERSION = 2;
+const SESSION_STORE = 'sessions';
+const SUMMARY_STORE = 'summaries';
+const MAX_HISTORY = 30;  // Sessions kept in stats.history without IndexedDB
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+// A session without its trialLog, plus what the stats need from the log:
+// hit RTs per modality, the trial count and whether it can be replayed
+function summarizeSession(session) {
+  const { trialLog, ...summary } = session;
+  const modalities = Object.keys(trialLog?.[0]?.values || {});
+  return {
+    ...summary,
+    mode: session.mode || DEFAULT_MODE,
+    trials: trialLog?.length,
+    hasReplay: Boolean(trialLog),
+    hitRts: Object.fromEntries(modalities.map(modality => [modality, trialLog
+      .filter(trial => trial.matches[modality] && trial.response[modality])
+      .map(trial => trial.rt[modality])]))
+  };
+}
+
+// Writes a session and its summary in the transaction (over both stores)
+function putSession(tx, session) {
+  tx.objectStore(SESSION_STORE).put(session);
+  tx.objectStore(SUMMARY_STORE).put(summarizeSession(session));
+}
+
+// Resolves to the database, or null to fall back to stats.history
+async function openSessionDb() {
+  if (!window.indexedDB) return null;
+
+  try {
+    const request = indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+    request.onupgradeneeded = event => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        db.createObjectStore(SESSION_STORE, { keyPath: 'date' });
+      }
+      if (event.oldVersion < 2) {
+        const summaries = db.createObjectStore(SUMMARY_STORE, { keyPath: 'date' });
+        summaries.createIndex('level', ['nLevel', 'date']);
+        summaries.createIndex('mode', ['mode', 'date']);
+        summaries.createIndex('levelMode', ['nLevel', 'mode', 'date']);
+
+        // Summarize the sessions stored so far
+        const cursorRequest = request.transaction.objectStore(SESSION_STORE).openCursor();
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor) return;
+          summaries.put(summarizeSession(cursor.value));
+          cursor.continue();
+        };
+      }
+    };
+    const db = await idbRequest(request);
+
+    // Move sessions from localStorage, dropping them there only once stored
+    const stats = getStats();
+    if (Array.isArray(stats.history)) {
+      const tx = db.transaction([SESSION_STORE, SUMMARY_STORE], 'readwrite');
+      stats.history.forEach(session => putSession(tx, session));
+      await idbTransactionDone(tx);
+
+      const latest = getStats();
+      delete latest.history;
+      saveStats(latest);
+    }
+    return db;
+  } catch (e) {
+    console.warn('IndexedDB unavailable, keeping recent sessions in localStorage:', e);
+    return null;
+  }
+}
+
+const sessionDbReady = openSessionDb();
+
+async function addSession(session) {
+  const db = await sessionDbReady;
+  if (!db) {
+    const stats = getStats();
+    stats.history = [...(stats.history || []), session].slice(-MAX_HISTORY);
+    saveStats(stats);
+    return;
+  }
+
+  const tx = db.transaction([SESSION_STORE, SUMMARY_STORE], 'readwrite');
+  putSession(tx, session);
+  await idbTransactionDone(tx);
+}
+
+// Stores the sessions whose dates aren't stored yet and returns them
+async function addNewSessions(sessions) {
+  const db = await sessionDbReady;
+  if (!db) {
+    const stats = getStats();
+    const known = new Set((stats.history || []).map(session => session.date));
+    const added = sessions.filter(session => !known.has(session.date));
+    stats.history = [...(stats.history || []), ...added]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .slice(-MAX_HISTORY);
+    saveStats(stats);
+    return added;
+  }
+
+  const tx = db.transaction([SESSION_STORE, SUMMARY_STORE], 'readwrite');
+  const known = new Set(await idbRequest(tx.objectStore(SESSION_STORE).getAllKeys()));
+  const added = sessions.filter(session => !known.has(session.date));
+  added.forEach(session => putSession(tx, session));
+  await idbTransactionDone(tx);
+  return added;
+}
+
+// A full session, trialLog included
+async function getSession(date) {
+  const db = await sessionDbReady;
+  if (!db) {
+    return (getStats().history || []).find(session => session.date === date);
+  }
+  return idbRequest(db.transaction(SESSION_STORE).objectStore(SESSION_STORE).get(date));
+}
+
+// Every full session, oldest first (for exports)
+async function allSessions() {
+  const db = await sessionDbReady;
+  if (!db) return getStats().history || [];
+  return idbRequest(db.transaction(SESSION_STORE).objectStore(SESSION_STORE).getAll());
+}
+
+// Session summaries (see summarizeSession) newest first, as { sessions,
+// total }. Filters: nLevel, mode and an ISO date range (from inclusive, to
+// exclusive). offset and limit pick a page of the matches; total counts all
+// of them. The level and mode indexes turn any filter into one key range,
+// so a page skips straight to its offset and reads only its own records.
+async function querySessions({ nLevel, mode, from, to, offset = 0, limit = Infinity } = {}) {
+  const db = await sessionDbReady;
+  if (!db) {
+    const matches = (getStats().history || [])
+      .filter(session => (!from || session.date >= from) && (!to || session.date < to))
+      .filter(session => nLevel === undefined || session.nLevel === nLevel)
+      .filter(session => mode === undefined || (session.mode || DEFAULT_MODE) === mode)
+      .reverse();
+    return { sessions: matches.slice(offset, offset + limit).map(summarizeSession), total: matches.length };
+  }
+
+  const store = db.transaction(SUMMARY_STORE).objectStore(SUMMARY_STORE);
+  const prefix = [nLevel, mode].filter(value => value !== undefined);
+  let source = store;
+  let range = null;
+  if (prefix.length > 0) {
+    source = store.index(nLevel === undefined ? 'mode' : mode === undefined ? 'level' : 'levelMode');
+    // Arrays sort after strings, so [...prefix, []] is past every date
+    range = IDBKeyRange.bound([...prefix, from || ''], [...prefix, to || []], false, true);
+  } else if (from && to) {
+    range = IDBKeyRange.bound(from, to, false, true);
+  } else if (from) {
+    range = IDBKeyRange.lowerBound(from);
+  } else if (to) {
+    range = IDBKeyRange.upperBound(to, true);
+  }
+
+  const total = await idbRequest(source.count(range));
+  const sessions = [];
+  if (offset >= total || limit <= 0) return { sessions, total };
+
+  const request = source.openCursor(range, 'prev');
+  let skipped = offset === 0;
+  await new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      if (!skipped) {
+        skipped = true;
+        cursor.advance(offset);
+        return;
+      }
+      sessions.push(cursor.value);
+      if (sessions.length >= limit) return resolve();
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  return { sessions, total };
+}
+
+async function clearSessions() {
+  const db = await sessionDbReady;
+  if (!db) return; // stats.history goes with STATS_KEY
+
+  const tx = db.transaction([SESSION_STORE, SUMMARY_STORE], 'readwrite');
+  tx.objectStore(SESSION_STORE).clear();
+  tx.objectStore(SUMMARY_STORE).clear();
+  await idbTransactionDone(tx);
+}
+
+// Everything needed to replay a session: what was shown, what was scored,
+// and every input with its time (ms) after stimulus onset
+function buildTrialLog(sequence, responses) {
+  return sequence.map((stimulus, i) => {
+    const modalities = Object.keys(stimulus.values);
+    return {
+      ...stimulus,
+      response: Object.fromEntries(modalities.map(m => [m, responses[i].responded[m] === true])),
+      rt: Object.fromEntries(modalities.map(m => [m, responses[i].rt[m] ?? null])),
+      inputs: responses[i].inputs,
+      ...(responses[i].audioFailed && { audioFailed: true })
+    };
+  });
+}
+
+function recordSession(nLevel, scores, trials, setup, trialLog, levelChange) {
   const stats = getStats();
   const now = new Date().toISOString();
 
@@ -720,37 +2995,65 @@ function recordSession(nLevel, scores, trials) {
     stats.firstPlayed = now;
   }
   stats.lastPlayed = now;
+  updateStreak(stats);
 
   // Update totals
   stats.totalSessions++;
   stats.totalTrials += trials;
 
-  // Update per-level stats
+  // Update per-level stats, kept apart per setup since setups differ in difficulty
+  const key = setupKey(setup);
+  if (!stats.levels[key]) {
+    stats.levels[key] = {};
+  }
+  const setLevels = stats.levels[key];
   const levelKey = String(nLevel);
-  if (!stats.levels[levelKey]) {
-    stats.levels[levelKey] = { attempts: 0, totalScore: 0, bestScore: 0 };
+  if (!setLevels[levelKey]) {
+    setLevels[levelKey] = { attempts: 0, totalScore: 0, bestScore: 0 };
   }
-  stats.levels[levelKey].attempts++;
-  stats.levels[levelKey].totalScore += scores.overallPct;
-  stats.levels[levelKey].bestScore = Math.max(stats.levels[levelKey].bestScore, scores.overallPct);
+  setLevels[levelKey].attempts++;
+  setLevels[levelKey].totalScore += scores.overallPct;
+  setLevels[levelKey].bestScore = Math.max(setLevels[levelKey].bestScore, scores.overallPct);
+
+  // Demotion strikes (see decideLevelChange)
+  stats.progression = { nLevel: levelChange.to, strikes: levelChange.strikes };
+
+  saveStats(stats);
 
-  // Add to history
-  stats.history.push({
+  return addSession({
     date: now,
     nLevel,
-    positionPct: scores.positionPct,
-    audioPct: scores.audioPct,
-    overallPct: scores.overallPct
-  });
+    ...setup,
+    overallPct: scores.overallPct,
+    overallDPrime: scores.overallDPrime,
+    modalities: scores.modalities,
+    audioExcluded: scores.audioExcluded,
+    scoringModel: settings.scoringModel,
+    levelChange,
+    block: training ? { id: training.id, round: training.results.length + 1, rounds: training.rounds } : undefined,
+    trialLog
+  }).catch(e => console.warn('Failed to save session:', e));
+}
 
-  // Trim history to max size
-  if (stats.history.length > MAX_HISTORY) {
-    stats.history = stats.history.slice(-MAX_HISTORY);
-  }
+// Session score in the active scoring model, falling back to % for old sessions
+function sessionScoreText(session) {
+  const model = SCORING_MODELS[settings.scoringModel];
+  const value = model.value(session);
+  return value === undefined ? `${session.overallPct}%` : model.format(value);
+}
 
-  saveStats(stats);
+// Hit RTs for one modality from session summaries
+function historyHitRts(sessions, modality) {
+  return sessions.flatMap(session => session.hitRts?.[modality] || []);
 }
 
+// Session filters (level, mode, local dates as YYYY-MM-DD) and page. The
+// filters apply to the RT, signal detection and session list sections.
+const STATS_PAGE_SIZE = 10;
+let statsFilters = { nLevel: '', mode: '', fromDate: '', toDate: '' };
+let statsPage = 0;
+let statsRenderId = 0;
+
 function toggleStats() {
   const modal = document.getElementById('stats-modal');
   if (modal.classList.contains('active')) {
@@ -761,7 +3064,63 @@ function toggleStats() {
   }
 }
 
-function renderStats() {
+function setStatsFilter(key, value) {
+  statsFilters[key] = value;
+  statsPage = 0;
+  renderStats();
+}
+
+function clearStatsFilters() {
+  statsFilters = { nLevel: '', mode: '', fromDate: '', toDate: '' };
+  statsPage = 0;
+  renderStats();
+}
+
+function stepStatsPage(delta) {
+  statsPage = Math.max(0, statsPage + delta);
+  renderStats();
+}
+
+// statsFilters as querySessions() filters
+function statsQuery() {
+  const startOfDay = (date, addDays = 0) => {
+    const day = new Date(`${date}T00:00`);
+    day.setDate(day.getDate() + addDays);
+    return day.toISOString();
+  };
+  return {
+    nLevel: statsFilters.nLevel ? parseInt(statsFilters.nLevel) : undefined,
+    mode: statsFilters.mode || undefined,
+    from: statsFilters.fromDate ? startOfDay(statsFilters.fromDate) : undefined,
+    to: statsFilters.toDate ? startOfDay(statsFilters.toDate, 1) : undefined
+  };
+}
+
+function renderStatsFilters() {
+  const option = (value, label, selected) =>
+    `<option value="${value}"${selected ? ' selected' : ''}>${label}</option>`;
+  const levels = [1, 2, 3, 4, 5, 6, 7, 8, 9]
+    .map(n => option(n, `${n}-Back`, statsFilters.nLevel === String(n))).join('');
+  const modes = Object.entries(GAME_MODES)
+    .map(([name, mode]) => option(name, mode.label, statsFilters.mode === name)).join('');
+
+  return `
+    <div class="stats-filters">
+      <select onchange="setStatsFilter('nLevel', this.value)">
+        ${option('', 'All levels', !statsFilters.nLevel)}${levels}
+      </select>
+      <select onchange="setStatsFilter('mode', this.value)">
+        ${option('', 'All modes', !statsFilters.mode)}${modes}
+      </select>
+      <input type="date" value="${statsFilters.fromDate}" onchange="setStatsFilter('fromDate', this.value)" aria-label="From date">
+      <input type="date" value="${statsFilters.toDate}" onchange="setStatsFilter('toDate', this.value)" aria-label="To date">
+      <button class="link-btn" onclick="clearStatsFilters()">Clear</button>
+    </div>
+  `;
+}
+
+async function renderStats() {
+  const renderId = ++statsRenderId;
   const stats = getStats();
   const body = document.getElementById('stats-body');
 
@@ -771,12 +3130,14 @@ function renderStats() {
   }
 
   // Calculate summary stats
-  const avgScore = stats.history.length > 0
-    ? Math.round(stats.history.reduce((sum, s) => sum + s.overallPct, 0) / stats.history.length)
+  const levelTotals = Object.values(stats.levels).flatMap(setLevels => Object.values(setLevels));
+  const attempts = levelTotals.reduce((sum, level) => sum + level.attempts, 0);
+  const avgScore = attempts > 0
+    ? Math.round(levelTotals.reduce((sum, level) => sum + level.totalScore, 0) / attempts)
     : 0;
 
-  const highestLevel = Object.keys(stats.levels).reduce((max, lvl) =>
-    Math.max(max, parseInt(lvl)), 0);
+  const highestLevel = Object.values(stats.levels).reduce((max, setLevels) =>
+    Object.keys(setLevels).reduce((setMax, lvl) => Math.max(setMax, parseInt(lvl)), max), 0);
 
   // Build HTML
   let html = `
@@ -797,15 +3158,25 @@ function renderStats() {
         <span class="label">Highest Level</span>
         <span class="value">${highestLevel}-Back</span>
       </div>
+      <div class="stats-summary-item">
+        <span class="label">Streak</span>
+        <span class="value">${activeStreak(stats)} days</span>
+      </div>
+      <div class="stats-summary-item">
+        <span class="label">Longest Streak</span>
+        <span class="value">${stats.longestStreak} days</span>
+      </div>
     </div>
   `;
 
-  // Per-level breakdown
-  const levelKeys = Object.keys(stats.levels).sort((a, b) => parseInt(a) - parseInt(b));
-  if (levelKeys.length > 0) {
-    html += '<div class="stats-section-title">By Level</div><div class="level-stats">';
+  // Per-level breakdown, one section per setup
+  for (const [key, setLevels] of Object.entries(stats.levels)) {
+    const levelKeys = Object.keys(setLevels).sort((a, b) => parseInt(a) - parseInt(b));
+    if (levelKeys.length === 0) continue;
+
+    html += `<div class="stats-section-title">By Level &middot; ${escapeHtml(setupLabel(key))}</div><div class="level-stats">`;
     for (const lvl of levelKeys) {
-      const level = stats.levels[lvl];
+      const level = setLevels[lvl];
       const avg = Math.round(level.totalScore / level.attempts);
       html += `
         <div class="level-stat-row">
@@ -817,45 +3188,582 @@ function renderStats() {
     html += '</div>';
   }
 
-  // Recent sessions
-  if (stats.history.length > 0) {
-    html += '<div class="stats-section-title">Recent Sessions</div><div class="recent-sessions">';
-    const recent = stats.history.slice(-10).reverse();
-    for (const session of recent) {
+  html += renderStatsFilters();
+
+  // Sessions matching the filters (newest first), and the page to list
+  const query = statsQuery();
+  const [{ sessions: history }, page] = await Promise.all([
+    querySessions(query),
+    querySessions({ ...query, offset: statsPage * STATS_PAGE_SIZE, limit: STATS_PAGE_SIZE })
+  ]);
+  if (renderId !== statsRenderId) return; // A newer render owns the modal
+
+  // Modalities played in any matching session, in MODALITIES order
+  const playedModalities = Object.keys(MODALITIES)
+    .filter(modality => history.some(session => session.modalities[modality]));
+
+  html += renderStatsCharts([...history].reverse(), playedModalities);
+
+  // Reaction times on hits, all matching sessions vs. the last 5 to show the trend
+  const rtRows = playedModalities.map(modality => ({
+    label: MODALITIES[modality].label,
+    all: summarizeRts(historyHitRts(history, modality)),
+    recent: summarizeRts(historyHitRts(history.slice(0, 5), modality))
+  }));
+  if (rtRows.some(row => row.all)) {
+    html += '<div class="stats-section-title">Reaction Time (mean / median)</div><div class="level-stats">';
+    for (const row of rtRows) {
+      html += `
+        <div class="level-stat-row">
+          <span class="level-name">${row.label}</span>
+          <span class="level-details">all ${formatRt(row.all)}, last 5 ${formatRt(row.recent)}</span>
+        </div>
+      `;
+    }
+    html += '</div>';
+  }
+
+  // Signal detection, averaged over matching sessions that have it
+  const sdtModalities = playedModalities
+    .filter(modality => history.some(session => session.modalities[modality]?.sdt));
+  if (sdtModalities.length > 0) {
+    html += '<div class="stats-section-title">Signal Detection (avg)</div><div class="level-stats">';
+    for (const modality of sdtModalities) {
+      const sdtSessions = history.filter(session => session.modalities[modality]?.sdt);
+      const average = (modality, field) => sdtSessions
+        .reduce((sum, session) => sum + session.modalities[modality].sdt[field], 0) / sdtSessions.length;
+      const sdt = {
+        hitRate: average(modality, 'hitRate'),
+        faRate: average(modality, 'faRate'),
+        dPrime: average(modality, 'dPrime'),
+        criterion: average(modality, 'criterion')
+      };
+      html += `
+        <div class="level-stat-row">
+          <span class="level-name">${MODALITIES[modality].label}</span>
+          <span class="level-details">${formatDetection(sdt)}</span>
+        </div>
+      `;
+    }
+    html += '</div>';
+  }
+
+  // Sessions, one page at a time
+  html += '<div class="stats-section-title">Sessions</div>';
+  if (page.total === 0) {
+    html += '<div class="no-stats">No sessions match these filters.</div>';
+  } else {
+    html += '<div class="recent-sessions">';
+    page.sessions.forEach(session => {
       const date = new Date(session.date);
       const dateStr = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+      const replayBtn = session.hasReplay
+        ? `<button class="replay-btn" onclick="openReplay('${session.date}')">&#9654;</button>`
+        : '';
       html += `
         <div class="session-row">
           <span class="session-date">${dateStr}</span>
-          <span class="session-level">${session.nLevel}-Back</span>
-          <span class="session-score">${session.overallPct}%</span>
+          <span class="session-level">${session.nLevel}-Back &middot; ${escapeHtml(setupLabel(setupKey(session)))}</span>
+          <span class="session-score">${sessionScoreText(session)}</span>
+          ${replayBtn}
         </div>
       `;
-    }
+    });
     html += '</div>';
+
+    const pageCount = Math.ceil(page.total / STATS_PAGE_SIZE);
+    html += `
+      <div class="stats-pager">
+        <button class="link-btn" onclick="stepStatsPage(-1)"${statsPage === 0 ? ' disabled' : ''}>&lsaquo; Newer</button>
+        <span>${statsPage + 1} / ${pageCount} &middot; ${page.total} sessions</span>
+        <button class="link-btn" onclick="stepStatsPage(1)"${statsPage >= pageCount - 1 ? ' disabled' : ''}>Older &rsaquo;</button>
+      </div>
+    `;
   }
 
   body.innerHTML = html;
 }
 
 function confirmClearStats() {
-  if (confirm('Clear all statistics? This cannot be undone.')) {
+  if (confirm('Clear all statistics? This cannot be undone.\n\nExport them first to keep a backup.')) {
     localStorage.removeItem(STATS_KEY);
+    clearSessions()
+      .catch(e => console.warn('Failed to clear sessions:', e))
+      .then(renderStats);
+  }
+}
+
+// ===========================================
+// STATS EXPORT / IMPORT
+// ===========================================
+// JSON exports are the stored stats object as is and can be imported again.
+// CSV exports are one row per history entry, for spreadsheets.
+function downloadFile(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportFilename(extension) {
+  return `swipeback-stats-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+// The stored stats with every session as history, oldest first
+async function exportedStats() {
+  return { ...getStats(), history: await allSessions() };
+}
+
+async function exportStatsJson() {
+  const stats = await exportedStats();
+  downloadFile(exportFilename('json'), 'application/json', JSON.stringify(stats, null, 2));
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function exportStatsCsv() {
+  const { history } = await exportedStats();
+  const modalities = Object.keys(MODALITIES)
+    .filter(modality => history.some(session => session.modalities[modality]));
+
+  const columns = [
+    ['date', session => session.date],
+    ['nLevel', session => session.nLevel],
+    ['mode', session => session.mode || DEFAULT_MODE],
+    ['letterSet', session => session.letterSet],
+    ['confusionLures', session => session.confusionLures],
+    ['stimulusMs', session => session.stimulusMs],
+    ['trialMs', session => session.trialMs],
+    ['seed', session => session.seed],
+    ['block', session => session.block?.id],
+    ['blockRound', session => session.block?.round],
+    ['trials', session => session.trialLog?.length],
+    ['scoringModel', session => session.scoringModel],
+    ['overallPct', session => session.overallPct],
+    ['overallDPrime', session => session.overallDPrime?.toFixed(3)],
+    ...modalities.flatMap(modality => [
+      [`${modality}Pct`, session => session.modalities[modality]?.pct],
+      [`${modality}DPrime`, session => session.modalities[modality]?.sdt?.dPrime.toFixed(3)],
+      [`${modality}Criterion`, session => session.modalities[modality]?.sdt?.criterion.toFixed(3)],
+      [`${modality}RtMean`, session => session.modalities[modality]?.rt?.mean],
+      [`${modality}RtMedian`, session => session.modalities[modality]?.rt?.median]
+    ]),
+    ['nextLevel', session => session.levelChange?.to]
+  ];
+
+  const rows = [
+    columns.map(([name]) => name),
+    ...history.map(session => columns.map(([, value]) => csvField(value(session))))
+  ];
+  downloadFile(exportFilename('csv'), 'text/csv', rows.map(row => row.join(',')).join('\n') + '\n');
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Throws with a message for the user if the object isn't a stats export
+function validateStats(stats) {
+  if (!isObject(stats) || !isObject(stats.levels) || !Array.isArray(stats.history)) {
+    throw new Error('Not a Swipeback stats export');
+  }
+  if ((stats.version || 0) > STATS_VERSION) {
+    throw new Error('Exported by a newer version of Swipeback; update first');
+  }
+  if (typeof stats.totalSessions !== 'number' || typeof stats.totalTrials !== 'number') {
+    throw new Error('Missing session totals');
+  }
+  for (const setLevels of Object.values(stats.levels)) {
+    if (!isObject(setLevels)) throw new Error('Malformed per-level stats');
+  }
+  for (const session of stats.history) {
+    if (!isObject(session) || typeof session.date !== 'string' ||
+      typeof session.nLevel !== 'number' || typeof session.overallPct !== 'number') {
+      throw new Error('Malformed session in history');
+    }
+  }
+}
+
+// Whether a trial log entry has what replays and stats read (see buildTrialLog)
+function isValidTrial(trial) {
+  return isObject(trial) &&
+    ['values', 'matches', 'response', 'rt'].every(key => isObject(trial[key])) &&
+    Array.isArray(trial.inputs) && trial.inputs.every(isObject);
+}
+
+// Checks the imported sessions once migrated: everything that lists or
+// exports sessions reads their per-modality scores. A malformed trial log is
+// dropped, keeping the session's scores but not its replay.
+function validateMigratedSessions(sessions) {
+  for (const session of sessions) {
+    if (!isObject(session.modalities) || !Object.values(session.modalities).every(isObject)) {
+      throw new Error(`Session ${session.date} has no per-modality scores`);
+    }
+    if (session.trialLog !== undefined &&
+      !(Array.isArray(session.trialLog) && session.trialLog.every(isValidTrial))) {
+      console.warn(`Dropping malformed trial log of imported session ${session.date}`);
+      delete session.trialLog;
+    }
+  }
+}
+
+// Adds imported totals to the stored ones; added are the imported sessions
+// that weren't stored yet (sessions are matched by date). If some were, the
+// import is an older or newer copy of the same data, so only the new sessions
+// count towards the totals; otherwise (another device) its totals and
+// per-level stats are added in full.
+function mergeStats(stats, imported, added) {
+  const overlaps = added.length < imported.history.length;
+
+  const addLevel = (key, level, attempts, totalScore, bestScore) => {
+    const setLevels = stats.levels[key] || (stats.levels[key] = {});
+    const entry = setLevels[level] || (setLevels[level] = { attempts: 0, totalScore: 0, bestScore: 0 });
+    entry.attempts += attempts;
+    entry.totalScore += totalScore;
+    entry.bestScore = Math.max(entry.bestScore, bestScore);
+  };
+
+  if (overlaps) {
+    stats.totalSessions += added.length;
+    stats.totalTrials += added.reduce((sum, session) => sum + (session.trialLog?.length || 0), 0);
+    added.forEach(session =>
+      addLevel(setupKey(session), String(session.nLevel), 1, session.overallPct, session.overallPct));
+  } else {
+    stats.totalSessions += imported.totalSessions;
+    stats.totalTrials += imported.totalTrials;
+    for (const [key, setLevels] of Object.entries(imported.levels)) {
+      for (const [level, entry] of Object.entries(setLevels)) {
+        addLevel(key, level, entry.attempts, entry.totalScore, entry.bestScore);
+      }
+    }
+  }
+
+  const dates = [stats.firstPlayed, imported.firstPlayed, stats.lastPlayed, imported.lastPlayed].filter(Boolean).sort();
+  stats.firstPlayed = dates[0] || null;
+  stats.lastPlayed = dates[dates.length - 1] || null;
+  stats.progression = stats.progression || imported.progression || null;
+  stats.longestStreak = Math.max(stats.longestStreak, imported.longestStreak);
+}
+
+async function importStats(input) {
+  const file = input.files[0];
+  input.value = ''; // Allow picking the same file again
+  if (!file) return;
+
+  try {
+    const imported = JSON.parse(await file.text());
+    validateStats(imported);
+    migrateStats(imported);
+    validateMigratedSessions(imported.history);
+
+    const added = await addNewSessions(imported.history);
+    const stats = getStats();
+    mergeStats(stats, imported, added);
+    saveStats(stats);
     renderStats();
+    alert(`Imported ${added.length} new session${added.length === 1 ? '' : 's'}.`);
+  } catch (e) {
+    console.warn('Failed to import stats:', e);
+    alert(`Import failed: ${e instanceof SyntaxError ? 'not a JSON file' : e.message}`);
+  }
+}
+
+// ===========================================
+// STATS CHARTS
+// ===========================================
+// Inline SVG (no libraries, so it works offline), drawn from the filtered
+// sessions oldest first. Line charts space sessions evenly along x.
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 120;
+const CHART_PADDING = { top: 8, right: 8, bottom: 16, left: 28 };
+const MOVING_AVERAGE_WINDOW = 5;
+const HEATMAP_WEEKS = 26;
+const HEATMAP_CELL = 11;  // Cell size plus gap, in viewBox units
+
+const SERIES_COLORS = {
+  overall: '#eeeeee',
+  position: '#6a8fc5',
+  audio: '#e67e22',
+  color: '#27ae60',
+  shape: '#d35493',
+  arithmetic: '#f1c40f'
+};
+
+// Mean of the last `window` values at each point, skipping gaps
+function movingAverage(values, window) {
+  return values.map((_, i) => {
+    const recent = values.slice(Math.max(0, i - window + 1), i + 1).filter(value => typeof value === 'number');
+    return recent.length > 0 ? recent.reduce((sum, value) => sum + value, 0) / recent.length : null;
+  });
+}
+
+function chartScales(count, min, max) {
+  const { top, right, bottom, left } = CHART_PADDING;
+  const width = CHART_WIDTH - left - right;
+  const height = CHART_HEIGHT - top - bottom;
+  return {
+    x: i => left + (count > 1 ? i * width / (count - 1) : width / 2),
+    y: value => top + height - (value - min) / (max - min) * height
+  };
+}
+
+// Path through the points, broken where a value is missing
+function chartPath(values, scales) {
+  let path = '';
+  let command = 'M';
+  values.forEach((value, i) => {
+    if (typeof value !== 'number') {
+      command = 'M';
+      return;
+    }
+    path += `${command}${scales.x(i).toFixed(1)},${scales.y(value).toFixed(1)} `;
+    command = 'L';
+  });
+  return path;
+}
+
+// Horizontal grid lines with labels, plus first and last session dates
+function chartFrame(sessions, scales, ticks, formatTick) {
+  const dateLabel = session => new Date(session.date)
+    .toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  const bottom = CHART_HEIGHT - 3;
+  return ticks.map(tick => `
+      <line class="chart-grid" x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}"
+        y1="${scales.y(tick)}" y2="${scales.y(tick)}"></line>
+      <text class="chart-label" x="${CHART_PADDING.left - 4}" y="${scales.y(tick) + 3}" text-anchor="end">${formatTick(tick)}</text>
+    `).join('') + `
+    <text class="chart-label" x="${CHART_PADDING.left}" y="${bottom}">${dateLabel(sessions[0])}</text>
+    <text class="chart-label" x="${CHART_WIDTH - CHART_PADDING.right}" y="${bottom}" text-anchor="end">${dateLabel(sessions[sessions.length - 1])}</text>
+  `;
+}
+
+function chartSvg(body, width = CHART_WIDTH, height = CHART_HEIGHT) {
+  return `<svg class="stats-chart" viewBox="0 0 ${width} ${height}" role="img">${body}</svg>`;
+}
+
+function renderLevelChart(sessions) {
+  const levels = sessions.map(session => session.nLevel);
+  const max = Math.max(...levels) + 1;
+  const scales = chartScales(sessions.length, 0, max);
+  const ticks = [...Array(max + 1).keys()].filter(tick => tick > 0 && (max <= 5 || tick % 2 === 1));
+
+  return chartSvg(`
+    ${chartFrame(sessions, scales, ticks, tick => tick)}
+    <path class="chart-line" d="${chartPath(levels, scales)}" stroke="${SERIES_COLORS.position}"></path>
+    ${levels.map((level, i) => `<circle cx="${scales.x(i)}" cy="${scales.y(level)}" r="1.8" fill="${SERIES_COLORS.position}"></circle>`).join('')}
+  `);
+}
+
+// Each series faintly, with its moving average on top
+function renderAccuracyChart(sessions, modalities) {
+  const scales = chartScales(sessions.length, 0, 100);
+  const series = [
+    { key: 'overall', label: 'Overall', values: sessions.map(session => session.overallPct) },
+    ...modalities.map(modality => ({
+      key: modality,
+      label: MODALITIES[modality].label,
+      values: sessions.map(session => session.modalities[modality]?.pct)
+    }))
+  ];
+
+  const lines = series.map(({ key, values }) => `
+    <path class="chart-line chart-line-raw" d="${chartPath(values, scales)}" stroke="${SERIES_COLORS[key]}"></path>
+    <path class="chart-line" d="${chartPath(movingAverage(values, MOVING_AVERAGE_WINDOW), scales)}" stroke="${SERIES_COLORS[key]}"></path>
+  `).join('');
+  const legend = series.map(({ key, label }) =>
+    `<span><span class="color-swatch" style="background: ${SERIES_COLORS[key]}"></span> ${label}</span>`).join('');
+
+  return chartSvg(chartFrame(sessions, scales, [0, 50, 100], tick => `${tick}%`) + lines) +
+    `<div class="chart-legend">${legend}<span>${MOVING_AVERAGE_WINDOW}-session average</span></div>`;
+}
+
+// Last HEATMAP_WEEKS weeks, one column per week and one row per weekday
+function renderCalendarHeatmap(sessions) {
+  const counts = new Map();
+  sessions.forEach(session => {
+    const key = localDateKey(new Date(session.date));
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - start.getDay() - (HEATMAP_WEEKS - 1) * 7);
+
+  let cells = '';
+  const day = new Date(start);
+  const today = new Date();
+  for (let week = 0; week < HEATMAP_WEEKS; week++) {
+    for (let weekday = 0; weekday < 7 && day <= today; weekday++) {
+      const key = localDateKey(day);
+      const count = counts.get(key) || 0;
+      const dateText = day.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+      cells += `
+        <rect class="heatmap-day heatmap-${Math.min(count, 4)}" x="${week * HEATMAP_CELL}" y="${weekday * HEATMAP_CELL}"
+          width="${HEATMAP_CELL - 2}" height="${HEATMAP_CELL - 2}" rx="2">
+          <title>${dateText}: ${count} session${count === 1 ? '' : 's'}</title>
+        </rect>
+      `;
+      day.setDate(day.getDate() + 1);
+    }
+  }
+  return chartSvg(cells, HEATMAP_WEEKS * HEATMAP_CELL, 7 * HEATMAP_CELL);
+}
+
+function renderStatsCharts(sessions, modalities) {
+  if (sessions.length === 0) return '';
+
+  let html = '';
+  if (sessions.length >= 2) {
+    html += `<div class="stats-section-title">N-Back Level</div>${renderLevelChart(sessions)}`;
+    html += `<div class="stats-section-title">Accuracy</div>${renderAccuracyChart(sessions, modalities)}`;
+  }
+  html += `<div class="stats-section-title">Training Days</div>${renderCalendarHeatmap(sessions)}`;
+  return html;
+}
+
+// ===========================================
+// SESSION REPLAY
+// ===========================================
+// Steps through a recorded session's trialLog one trial at a time, showing
+// the stimulus, its n-back target and what the player swiped.
+const OUTCOME_LABELS = {
+  hit: 'Hit',
+  miss: 'Missed match',
+  falseAlarm: 'False alarm',
+  correctRejection: 'Correct (no match)'
+};
+
+let replaySession = null;
+let replayIndex = 0;
+
+function trialOutcome(wasMatch, responded) {
+  if (wasMatch) return responded ? 'hit' : 'miss';
+  return responded ? 'falseAlarm' : 'correctRejection';
+}
+
+async function openReplay(date) {
+  const session = await getSession(date);
+  if (!session?.trialLog) return;
+
+  replaySession = session;
+  replayIndex = 0;
+
+  document.getElementById('stats-modal').classList.remove('active');
+  document.getElementById('replay-n-display').textContent = `${session.nLevel}-Back`;
+  document.getElementById('replay-total').textContent = session.trialLog.length;
+  showScreen('replay-screen');
+  renderReplay();
+}
+
+function closeReplay() {
+  replaySession = null;
+  showScreen('start-screen');
+  toggleStats();
+}
+
+function stepReplay(delta) {
+  if (!replaySession) return;
+  replayIndex = Math.max(0, Math.min(replaySession.trialLog.length - 1, replayIndex + delta));
+  renderReplay();
+}
+
+function renderReplay() {
+  const n = replaySession.nLevel;
+  const trial = replaySession.trialLog[replayIndex];
+  const target = replayIndex >= n ? replaySession.trialLog[replayIndex - n] : null;
+  const modalities = Object.keys(trial.values);
+
+  document.getElementById('replay-num').textContent = replayIndex + 1;
+
+  document.querySelectorAll('#replay-screen .cell').forEach(cell => {
+    const pos = parseInt(cell.dataset.pos);
+    clearCell(cell);
+    cell.classList.toggle('target', target !== null && pos === target.values.position);
+    if (pos === trial.values.position) {
+      renderStimulusCell(cell, trial);
+      if (trial.values.audio) {
+        cell.insertAdjacentHTML('beforeend', `<span class="cell-mark">${trial.values.audio}</span>`);
+      }
+    }
+  });
+
+  const valueText = (stimulus, modality) =>
+    MODALITIES[modality].text(stimulus.values[modality], stimulus.display?.[modality]);
+
+  let html;
+  if (!target) {
+    html = `
+      <div class="replay-line">No ${n}-back target yet</div>
+      ${modalities.map(modality => `
+        <div class="replay-line">${MODALITIES[modality].label}: <strong>${valueText(trial, modality)}</strong></div>
+      `).join('')}
+    `;
+  } else {
+    const inputs = trial.inputs.length > 0
+      ? trial.inputs.map(input => `${DIRECTION_ARROWS[input.direction]} ${input.t}ms`).join(', ')
+      : 'none';
+
+    html = `<div class="replay-line">Input: ${inputs}</div>`;
+    for (const modality of modalities) {
+      if (modality === 'audio' && (trial.audioFailed || target.audioFailed)) {
+        html += `
+          <div class="replay-line">
+            ${MODALITIES[modality].label}: <strong>${valueText(trial, modality)}</strong> &middot;
+            not scored (${trial.audioFailed ? 'sound' : 'target sound'} didn't play)
+          </div>
+        `;
+        continue;
+      }
+      const outcome = trialOutcome(trial.matches[modality], trial.response[modality]);
+      html += `
+        <div class="replay-line">
+          ${MODALITIES[modality].label}: <strong>${valueText(trial, modality)}</strong>
+          (target ${valueText(target, modality)}) &middot;
+          <span class="outcome-${outcome}">${OUTCOME_LABELS[outcome]}</span>
+        </div>
+      `;
+    }
   }
+  document.getElementById('replay-details').innerHTML = html;
 }
 
-// Start loading audio files on page load
-loadAudioFiles();
+renderStreakStatus();
+
+// Show the saved mode and letter set and start loading audio on page load.
+// A shared challenge link replaces them with the challenge's options. Both
+// wait for the voice packs, which decide the letters available.
+renderGameModeSetting();
+renderLetterSetSetting();
+loadAudioPacks().then(() => {
+  const linkedCode = new URLSearchParams(location.search).get('challenge');
+  const linkedChallenge = linkedCode && decodeChallenge(linkedCode);
+  if (linkedChallenge) {
+    applyChallenge(linkedChallenge);
+    history.replaceState(null, '', location.pathname); // Reloads shouldn't re-apply it
+  } else {
+    loadAudioFiles();
+  }
+});
 
-// Display service worker cache version
+// Display service worker cache version and watch for updates
 if ('serviceWorker' in navigator) {
   navigator.serviceWorker.ready.then(reg => {
     reg.active?.postMessage({ type: 'GET_VERSION' });
+    watchForUpdate(reg);
   });
   navigator.serviceWorker.addEventListener('message', e => {
     if (e.data.type === 'VERSION') {
-      document.getElementById('cache-version').textContent = e.data.version;
+      document.getElementById('cache-version').textContent =
+        e.data.waiting ? `${e.data.version} → ${e.data.waiting}` : e.data.version;
     }
   });
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updateRequested) location.reload();
+  });
 }
\ No newline at end of file
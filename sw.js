@@ -1,46 +1,61 @@
-const CACHE_NAME = 'v18';
-const ASSETS = [
-  './',
-  './index.html',
-  './manifest.json',
-  './style.css',
-  './script.js',
-  './icons/icon192.png',
-  './icons/icon512.png',
-  './audio/corsica/a.webm',
-  './audio/corsica/b.webm',
-  './audio/corsica/c.webm',
-  './audio/corsica/d.webm',
-  './audio/corsica/e.webm',
-  './audio/corsica/f.webm',
-  './audio/corsica/g.webm',
-  './audio/corsica/h.webm',
-  './audio/corsica/i.webm',
-  './audio/corsica/j.webm',
-  './audio/corsica/k.webm',
-  './audio/corsica/l.webm',
-  './audio/corsica/m.webm',
-  './audio/corsica/n.webm',
-  './audio/corsica/o.webm',
-  './audio/corsica/p.webm',
-  './audio/corsica/q.webm',
-  './audio/corsica/r.webm',
-  './audio/corsica/s.webm',
-  './audio/corsica/t.webm',
-  './audio/corsica/u.webm',
-  './audio/corsica/v.webm',
-  './audio/corsica/w.webm',
-  './audio/corsica/x.webm',
-  './audio/corsica/y.webm',
-  './audio/corsica/z.webm'
-];
-
-// Install: cache all assets
+// The app shell list and its version come from precache-manifest.js,
+// generated by tools/precache-manifest.js. Regenerate it after changing any
+// shell file; the new manifest is what makes browsers install an update.
+importScripts('./precache-manifest.js');
+
+const CACHE_NAME = self.PRECACHE_MANIFEST.version;
+const ASSETS = self.PRECACHE_MANIFEST.assets;
+// Voice pack clips are cached as they're first played and kept across
+// versions; bump this only if existing clips change
+const AUDIO_CACHE = 'audio-v1';
+// Precached so the app works offline out of the box (see DEFAULT_AUDIO_PACK)
+const DEFAULT_PACK_MANIFEST = './audio/corsica/pack.json';
+
+async function contentHash(response) {
+  const digest = await crypto.subtle.digest('SHA-256', await response.clone().arrayBuffer());
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('').slice(0, 12);
+}
+
+// Fetches every shell file past the HTTP cache. A hash mismatch means the
+// manifest is stale (regenerate it); the file is cached as fetched.
+async function precacheShell() {
+  const cache = await caches.open(CACHE_NAME);
+  await Promise.all(ASSETS.map(async ({ url, hash }) => {
+    const response = await fetch(new Request(url, { cache: 'reload' }));
+    if (!response.ok) {
+      throw new Error(`${url}: HTTP ${response.status}`);
+    }
+    if (await contentHash(response) !== hash) {
+      console.warn(`${url} changed since precache-manifest.js was generated`);
+    }
+    await cache.put(url, response);
+  }));
+}
+
+// Fetches the default pack's manifest and every clip it lists. AUDIO_CACHE
+// outlives versions, so clips an earlier install cached aren't fetched again.
+async function cacheDefaultPack() {
+  const response = await fetch(DEFAULT_PACK_MANIFEST);
+  const pack = await response.clone().json();
+  const audioCache = await caches.open(AUDIO_CACHE);
+  await audioCache.put(DEFAULT_PACK_MANIFEST, response);
+  await Promise.all(pack.letters.map(async letter => {
+    const url = `./${pack.basePath}/${letter.toLowerCase()}.${pack.format}`;
+    if (await audioCache.match(url)) return;
+
+    const clip = await fetch(url);
+    if (!clip.ok) {
+      throw new Error(`${url}: HTTP ${clip.status}`);
+    }
+    await audioCache.put(url, clip);
+  }));
+}
+
+// Install: cache all assets. An update then waits until the page asks it
+// to take over (SKIP_WAITING), so a game in progress keeps its script.
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => cache.addAll(ASSETS))
-      .then(() => self.skipWaiting()) // Activate immediately
+    precacheShell().then(cacheDefaultPack)
   );
 });
 
@@ -49,24 +64,115 @@ self.addEventListener('activate', (event) => {
   event.waitUntil(
     caches.keys().then(keys => 
       Promise.all(
-        keys.filter(key => key !== CACHE_NAME)
+        keys.filter(key => key !== CACHE_NAME && key !== AUDIO_CACHE)
             .map(key => caches.delete(key))
       )
-    ).then(() => self.clients.claim()) // Take control immediately
+    ).then(() => self.clients.claim()) // Take control of pages opened before the first install
   );
 });
 
-// Fetch: serve from cache, fall back to network
+// App shell: the precached copy. Navigations ignore the query string, so
+// challenge links (?challenge=...) work offline.
+async function precached(request) {
+  const cache = await caches.open(CACHE_NAME); // Not a waiting update's cache
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+  return cached || fetch(request);
+}
+
+// Script and style: answer from this version's cache at once and refresh it
+// in the background. A refresh is only kept if it matches the manifest's
+// hash, so a copy that went stale (the manifest wasn't regenerated) gets
+// repaired, while a newer deploy's file never mixes with this version's
+// page; that one arrives with its own worker.
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  const asset = ASSETS.find(({ url }) => new URL(url, location.href).pathname === new URL(request.url).pathname);
+  const refresh = fetch(request).then(async response => {
+    if (response.ok && asset && await contentHash(response) === asset.hash) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    refresh.catch(() => {}); // Offline: the cached copy will do
+    return cached;
+  }
+  return refresh;
+}
+
+// Audio clips: serve from cache, otherwise fetch and keep a copy
+async function cacheOnDemand(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const audioCache = await caches.open(AUDIO_CACHE);
+    audioCache.put(request, response.clone());
+  }
+  return response;
+}
+
+// Pack manifests: prefer the network so new packs show up, cache for offline
+async function networkFirst(request, cacheName) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Fetch: pick a strategy by route. Other origins go straight to the network.
 self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request)
-      .then(cached => cached || fetch(event.request))
-  );
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== location.origin) return;
+
+  if (url.pathname.includes('/audio/')) {
+    event.respondWith(url.pathname.endsWith('.json')
+      ? networkFirst(event.request, url.pathname.endsWith('/packs.json') ? CACHE_NAME : AUDIO_CACHE)
+      : cacheOnDemand(event.request));
+  } else if (/\.(js|css)$/.test(url.pathname) && !url.pathname.endsWith('/precache-manifest.js')) {
+    event.respondWith(staleWhileRevalidate(event.request));
+  } else {
+    event.respondWith(precached(event.request));
+  }
 });
 
-// Respond to version queries
+// Asks another worker (the waiting one) for its CACHE_NAME
+function askVersion(worker) {
+  return new Promise(resolve => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = e => resolve(e.data);
+    worker.postMessage({ type: 'GET_OWN_VERSION' }, [channel.port2]);
+    setTimeout(() => resolve(null), 1000);
+  });
+}
+
+// Version queries report this worker's version and any waiting update's;
+// SKIP_WAITING comes from the page's "reload" banner
 self.addEventListener('message', (event) => {
   if (event.data?.type === 'GET_VERSION') {
-    event.source.postMessage({ type: 'VERSION', version: CACHE_NAME });
+    const waiting = self.registration.waiting;
+    event.waitUntil(
+      (waiting ? askVersion(waiting) : Promise.resolve(null))
+        .then(waitingVersion => event.source.postMessage({
+          type: 'VERSION',
+          version: CACHE_NAME,
+          waiting: waitingVersion
+        }))
+    );
+  } else if (event.data?.type === 'GET_OWN_VERSION') {
+    event.ports[0].postMessage(CACHE_NAME);
+  } else if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
   }
 });
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// Writes precache-manifest.js, the list of app shell files sw.js precaches,
+// each with a hash of its contents. Run it from anywhere after changing any
+// shell file:
+//
+//   node tools/precache-manifest.js
+//
+// No build step or dependencies: it walks the repo instead of relying on a
+// hand-kept list, and any content change yields a new manifest, which the
+// browser sees as a service worker update.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = 'precache-manifest.js';
+
+// Top-level files and folders that make up the shell. Voice pack clips are
+// left out: sw.js caches them on demand (and the default pack at install).
+const SHELL_EXTENSIONS = ['.html', '.css', '.js', '.json', '.png', '.ico'];
+const SHELL_DIRS = ['icons'];
+const EXTRA_FILES = ['audio/packs.json'];
+const EXCLUDED = ['sw.js', OUTPUT];
+
+function shellFiles() {
+  const topLevel = fs.readdirSync(ROOT, { withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => entry.name)
+    .filter(name => SHELL_EXTENSIONS.includes(path.extname(name)) && !EXCLUDED.includes(name));
+  const nested = SHELL_DIRS.flatMap(dir =>
+    fs.readdirSync(path.join(ROOT, dir)).map(name => `${dir}/${name}`));
+  return [...topLevel, ...nested, ...EXTRA_FILES].sort();
+}
+
+function hash(data) {
+  return crypto.createHash('sha256').update(data).digest('hex').slice(0, 12);
+}
+
+const assets = shellFiles().map(file => ({
+  url: `./${file}`,
+  hash: hash(fs.readFileSync(path.join(ROOT, file)))
+}));
+// The start URL serves index.html
+const index = assets.find(asset => asset.url === './index.html');
+if (index) assets.unshift({ url: './', hash: index.hash });
+const version = hash(assets.map(asset => `${asset.url} ${asset.hash}`).join('\n'));
+
+fs.writeFileSync(path.join(ROOT, OUTPUT), `// Generated by tools/precache-manifest.js; don't edit by hand.
+self.PRECACHE_MANIFEST = ${JSON.stringify({ version, assets }, null, 2)};
+`);
+console.log(`${OUTPUT}: ${assets.length} files, version ${version}`);